@@ -4,15 +4,29 @@
  *
  * State:
  *   code         — the Java code string in the editor
- *   steps        — parsed step array
- *   errors       — parse errors
+ *   steps        — executed step trace
+ *   seeds        — memory states the worker kept along the trace (timeline checkpoints)
+ *   errors       — parse and runtime errors
  *   currentStep  — index of the last applied step (-1 = initial)
  *   isPlaying    — auto-play mode
+ *   playDirection — 1 = forward, -1 = reverse auto-play
  *   speed        — ms between steps during auto-play
+ *   gcSweep      — end the trace with a garbage-collector sweep step
+ *   maxSteps, timeLimit — step and wall-clock budget for a run
+ *   breakpoints  — { [lineIndex]: condition } where auto-play pauses
+ *   breakHit     — step index playback last stopped at on a breakpoint
+ *   watches      — compiled watch expressions, evaluated at every step
+ *   leftPct, vizPct, stackPct — panel sizes
  *
- * Memory state is derived by replaying steps[0..currentStep] on every render.
+ * "Copy link" puts all of the above except playback into the URL hash
+ * (lib/shareLink.js); opening the link restores it.
+ *
+ * Programs run in a Web Worker (lib/runner.js), so a runaway loop ends on
+ * its budget without freezing the editor. Memory state at currentStep comes
+ * from a timeline over the trace, which keeps checkpoints so stepping and
+ * jumping don't replay from step 0.
  */
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { motion } from 'framer-motion';
 
 import CodePanel, { SAMPLE_CODE } from './components/CodePanel';
@@ -21,47 +35,129 @@ import StackPanel from './components/StackPanel';
 import HeapPanel from './components/HeapPanel';
 import Controls from './components/Controls';
 import StepInfo from './components/StepInfo';
+import StepList from './components/StepList';
+import WatchPanel from './components/WatchPanel';
+import ConsolePanel from './components/ConsolePanel';
 import Resizer from './components/Resizer';
 
-import { parseCode } from './lib/parser';
-import { replaySteps, initialState } from './lib/memoryModel';
+import { skippedLinesAt, DEFAULT_MAX_STEPS, DEFAULT_TIME_LIMIT } from './lib/interpreter';
+import { createRunner } from './lib/runner';
+import { createTimeline } from './lib/memoryModel';
+import { compileBreakpoints, isBreakpointHit } from './lib/breakpoints';
+import { compileWatch } from './lib/watches';
+import { encodeShareHash, decodeShareHash } from './lib/shareLink';
+import { STEP_TYPES } from './lib/parser';
+
+const DEFAULT_SPEED = 800;
+const DEFAULT_LAYOUT = { leftPct: 50, vizPct: 55, stackPct: 50 };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
 
 export default function App() {
   // ── Code & parse state ────────────────────────────────────────────────────
   const [code, setCode] = useState(SAMPLE_CODE);
   const [steps, setSteps] = useState([]);
+  const [seeds, setSeeds] = useState([]);
   const [errors, setErrors] = useState([]);
 
   // ── Playback state ────────────────────────────────────────────────────────
   const [currentStep, setCurrentStep] = useState(-1); // -1 = before first step
   const [isPlaying, setIsPlaying] = useState(false);
-  const [speed, setSpeed] = useState(800); // ms between steps
+  const [playDirection, setPlayDirection] = useState(1);
+  const [speed, setSpeed] = useState(DEFAULT_SPEED); // ms between steps
+  const [gcSweep, setGcSweep] = useState(false);
+  const [maxSteps, setMaxSteps] = useState(DEFAULT_MAX_STEPS);
+  const [timeLimit, setTimeLimit] = useState(DEFAULT_TIME_LIMIT);
+  const [breakpoints, setBreakpoints] = useState({});
+  const [breakHit, setBreakHit] = useState(null);
+  const [watches, setWatches] = useState([]);
+  const [copyStatus, setCopyStatus] = useState(null); // null | 'copied' | 'in-address-bar' | 'failed'
+
+  // ── Resizable panel sizes ──────────────────────────────────────────────
+  const [leftPct, setLeftPct] = useState(DEFAULT_LAYOUT.leftPct);    // % width for left column
+  const [vizPct, setVizPct] = useState(DEFAULT_LAYOUT.vizPct);       // % height for visualizer (vs memory)
+  const [stackPct, setStackPct] = useState(DEFAULT_LAYOUT.stackPct); // % width for stack (vs heap)
 
   const timerRef = useRef(null);
+  const runnerRef = useRef(null);
+  const nextWatchId = useRef(0);
+  // Step a shared link points at, applied when its run finishes
+  const pendingStepRef = useRef(null);
 
   // ── Derived memory state ──────────────────────────────────────────────────
-  const memState =
-    currentStep >= 0
-      ? replaySteps(steps, currentStep)
-      : initialState();
+  const timeline = useMemo(() => createTimeline(steps, seeds), [steps, seeds]);
+  const memState = timeline.stateAt(currentStep);
+  const previousState = currentStep >= 0 ? timeline.stateAt(currentStep - 1) : null;
+  const compiledBreakpoints = useMemo(() => compileBreakpoints(breakpoints), [breakpoints]);
+  const isAtBreakpoint = !isPlaying && breakHit !== null && breakHit === currentStep;
 
   const activeStep = steps[currentStep] ?? null;
   const activeLineIndex = activeStep?.lineIndex ?? -1;
+  const skippedLines = skippedLinesAt(steps, currentStep);
+  // Whatever stopped execution (exception, budget, first error) is the last step of the trace
+  const exceptionStep = steps[steps.length - 1]?.type === STEP_TYPES.EXCEPTION ? steps[steps.length - 1] : null;
+  const hasOutput = useMemo(() => steps.some(step => step.type === STEP_TYPES.PRINT), [steps]);
 
   // ── Parse code and show full result live ────────────────────────────────
-  const parseAndShow = useCallback((newCode) => {
-    const { steps: parsed, errors: errs } = parseCode(newCode);
+  const showResult = useCallback(({ steps: parsed, errors: errs, seeds: kept = [] }) => {
     setSteps(parsed);
+    setSeeds(kept);
     setErrors(errs);
+    const pending = pendingStepRef.current;
+    pendingStepRef.current = null;
     // Auto-apply ALL steps so visualization shows immediately
-    setCurrentStep(parsed.length > 0 ? parsed.length - 1 : -1);
+    setCurrentStep(pending !== null ? clamp(pending, -1, parsed.length - 1) : parsed.length - 1);
     setIsPlaying(false);
+    setBreakHit(null);
   }, []);
 
-  // Parse on mount with sample code
+  const parseAndShow = (newCode, options) => {
+    runnerRef.current?.run(newCode, { gcSweep, maxSteps, timeLimit, ...options });
+  };
+
+  // Replace everything a share link carries; options it lacks go back to defaults
+  const restoreShared = useCallback((shared) => {
+    const options = {
+      gcSweep: shared.gcSweep ?? false,
+      maxSteps: shared.maxSteps ?? DEFAULT_MAX_STEPS,
+      timeLimit: shared.timeLimit ?? DEFAULT_TIME_LIMIT,
+    };
+    setCode(shared.code);
+    setSpeed(shared.speed ?? DEFAULT_SPEED);
+    setGcSweep(options.gcSweep);
+    setMaxSteps(options.maxSteps);
+    setTimeLimit(options.timeLimit);
+    setBreakpoints(shared.breakpoints ?? {});
+    setWatches((shared.watches ?? []).map(text => ({ id: nextWatchId.current++, ...compileWatch(text) })));
+    setLeftPct(clamp(shared.leftPct ?? DEFAULT_LAYOUT.leftPct, 25, 75));
+    setVizPct(clamp(shared.vizPct ?? DEFAULT_LAYOUT.vizPct, 20, 80));
+    setStackPct(clamp(shared.stackPct ?? DEFAULT_LAYOUT.stackPct, 20, 80));
+    pendingStepRef.current = shared.step;
+    runnerRef.current?.run(shared.code, options);
+  }, []);
+
+  // Start the runner and parse on mount — the shared program if the URL holds one, else the sample
   useEffect(() => {
-    parseAndShow(SAMPLE_CODE);
-  }, []); // eslint-disable-line
+    const runner = createRunner(showResult);
+    runnerRef.current = runner;
+    let disposed = false;
+
+    const openSharedLink = () => decodeShareHash(window.location.hash).then(shared => {
+      if (shared && !disposed) restoreShared(shared);
+      return shared;
+    });
+    openSharedLink().then(shared => {
+      if (!shared && !disposed) runner.run(SAMPLE_CODE, { maxSteps: DEFAULT_MAX_STEPS, timeLimit: DEFAULT_TIME_LIMIT });
+    });
+    // A link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', openSharedLink);
+
+    return () => {
+      disposed = true;
+      window.removeEventListener('hashchange', openSharedLink);
+      runner.dispose();
+    };
+  }, [showResult, restoreShared]);
 
   // ── Auto-play timer ───────────────────────────────────────────────────────
   useEffect(() => {
@@ -72,24 +168,37 @@ export default function App() {
 
     timerRef.current = setInterval(() => {
       setCurrentStep(prev => {
-        const next = prev + 1;
-        if (next >= steps.length) {
+        const next = prev + playDirection;
+        if (next >= steps.length || next < -1) {
           setIsPlaying(false);
           clearInterval(timerRef.current);
           return prev;
         }
+        if (isBreakpointHit(compiledBreakpoints, steps[next], timeline.stateAt(next))) {
+          setIsPlaying(false);
+          setBreakHit(next);
+          clearInterval(timerRef.current);
+        }
         return next;
       });
     }, speed);
 
     return () => clearInterval(timerRef.current);
-  }, [isPlaying, speed, steps.length]);
+  }, [isPlaying, playDirection, speed, steps, timeline, compiledBreakpoints]);
 
   // ── Control handlers ──────────────────────────────────────────────────────
   const handleRun = () => {
     if (steps.length === 0) return;
-    // Reset to beginning and auto-play from step 0
-    setCurrentStep(-1);
+    // Stopped on a breakpoint: continue from here, otherwise play from step 0
+    if (!isAtBreakpoint) setCurrentStep(-1);
+    setPlayDirection(1);
+    setIsPlaying(true);
+  };
+
+  const handleReverse = () => {
+    if (currentStep < 0) return;
+    // Play backwards from where we are down to the initial state
+    setPlayDirection(-1);
     setIsPlaying(true);
   };
 
@@ -101,9 +210,41 @@ export default function App() {
     }
   };
 
+  const handleBack = () => {
+    if (currentStep >= 0) {
+      setCurrentStep(prev => prev - 1);
+    }
+  };
+
   const handleReset = () => {
     setIsPlaying(false);
     setCurrentStep(-1);
+    setBreakHit(null);
+  };
+
+  const handleSeek = (index) => {
+    setIsPlaying(false);
+    setCurrentStep(Math.max(-1, Math.min(steps.length - 1, index)));
+  };
+
+  const handleAddWatch = (text) => {
+    const id = nextWatchId.current++;
+    setWatches(prev => [...prev, { id, ...compileWatch(text) }]);
+  };
+
+  const handleRemoveWatch = (id) => {
+    setWatches(prev => prev.filter(w => w.id !== id));
+  };
+
+  const handleToggleBreakpoint = (lineIndex) => {
+    setBreakpoints(prev => {
+      const { [lineIndex]: existing, ...rest } = prev;
+      return existing === undefined ? { ...prev, [lineIndex]: '' } : rest;
+    });
+  };
+
+  const handleBreakpointConditionChange = (lineIndex, condition) => {
+    setBreakpoints(prev => ({ ...prev, [lineIndex]: condition }));
   };
 
   const handleCodeChange = (newCode) => {
@@ -111,11 +252,59 @@ export default function App() {
     parseAndShow(newCode);
   };
 
-  // ── Resizable panel sizes ──────────────────────────────────────────────
-  const [leftPct, setLeftPct] = useState(50);       // % width for left column
-  const [vizPct, setVizPct] = useState(55);          // % height for visualizer (vs memory)
-  const [stackPct, setStackPct] = useState(50);      // % width for stack (vs heap)
+  const handleGcSweepChange = (enabled) => {
+    setGcSweep(enabled);
+    parseAndShow(code, { gcSweep: enabled });
+  };
+
+  const handleMaxStepsChange = (limit) => {
+    setMaxSteps(limit);
+    parseAndShow(code, { maxSteps: limit });
+  };
+
+  const handleTimeLimitChange = (limit) => {
+    setTimeLimit(limit);
+    parseAndShow(code, { timeLimit: limit });
+  };
+
+  const flashCopyStatus = (status) => {
+    setCopyStatus(status);
+    setTimeout(() => setCopyStatus(null), 2000);
+  };
+
+  const handleCopyLink = async () => {
+    let hash;
+    try {
+      hash = await encodeShareHash({
+        code,
+        step: currentStep,
+        speed,
+        gcSweep,
+        maxSteps,
+        timeLimit,
+        breakpoints,
+        watches: watches.map(w => w.text),
+        leftPct,
+        vizPct,
+        stackPct,
+      });
+    } catch {
+      // No CompressionStream in this browser
+      flashCopyStatus('failed');
+      return;
+    }
+    // replaceState doesn't fire hashchange, so this doesn't reload the link we just made
+    window.history.replaceState(null, '', hash);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      flashCopyStatus('copied');
+    } catch {
+      // Clipboard access denied: the link can still be copied from the address bar
+      flashCopyStatus('in-address-bar');
+    }
+  };
 
+  // ── Panel resizing ─────────────────────────────────────────────────────
   const mainRef = useRef(null);
   const rightRef = useRef(null);
   const memRef = useRef(null);
@@ -158,6 +347,18 @@ export default function App() {
             <p className="text-xs text-neutral-500">Java Memory &amp; Pointer Animator</p>
           </div>
         </div>
+
+        <motion.button
+          whileTap={{ scale: 0.97 }}
+          onClick={handleCopyLink}
+          title="Copy a link to this program, opened at the current step"
+          className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all duration-100 border border-[#333] bg-[#1a1a1a] hover:bg-[#252525] ${copyStatus === 'failed' ? 'text-red-400' : 'text-neutral-300'}`}
+        >
+          {copyStatus === 'copied' ? '✓ Link copied'
+            : copyStatus === 'in-address-bar' ? 'Copy failed — link is in the address bar'
+              : copyStatus === 'failed' ? 'Could not create link'
+                : 'Copy link'}
+        </motion.button>
       </header>
 
       {/* ── Main layout ── */}
@@ -170,28 +371,62 @@ export default function App() {
               code={code}
               onCodeChange={handleCodeChange}
               activeLineIndex={activeLineIndex}
+              skippedLines={skippedLines}
+              errors={errors}
+              isFaulting={activeStep === exceptionStep && exceptionStep !== null}
+              breakpoints={compiledBreakpoints}
+              onToggleBreakpoint={handleToggleBreakpoint}
+              onBreakpointConditionChange={handleBreakpointConditionChange}
             />
           </div>
 
           <Controls
             isPlaying={isPlaying}
             currentStep={currentStep}
+            steps={steps}
             totalSteps={steps.length}
             speed={speed}
             onRun={handleRun}
             onStep={handleStep}
+            onBack={handleBack}
+            onReverse={handleReverse}
             onPause={handlePause}
             onReset={handleReset}
             onSpeedChange={setSpeed}
+            onSeek={handleSeek}
             hasSteps={steps.length > 0}
+            isAtBreakpoint={isAtBreakpoint}
+            gcSweep={gcSweep}
+            onGcSweepChange={handleGcSweepChange}
+            maxSteps={maxSteps}
+            onMaxStepsChange={handleMaxStepsChange}
+            timeLimit={timeLimit}
+            onTimeLimitChange={handleTimeLimitChange}
           />
 
           <StepInfo
             step={activeStep}
+            previousStep={steps[currentStep - 1] ?? null}
             stepIndex={currentStep}
             totalSteps={steps.length}
             errors={errors}
           />
+
+          {hasOutput && (
+            <ConsolePanel steps={steps} currentStep={currentStep} onSeek={handleSeek} />
+          )}
+
+          <WatchPanel
+            watches={watches}
+            state={memState}
+            previousState={previousState}
+            onAdd={handleAddWatch}
+            onRemove={handleRemoveWatch}
+          />
+
+          {steps.length > 0 && (
+            <StepList steps={steps} currentStep={currentStep} onSeek={handleSeek} />
+          )}
         </div>
 
         <Resizer direction="horizontal" onResize={handleLeftResize} />
@@ -206,13 +441,13 @@ export default function App() {
 
           <div ref={memRef} className="flex-1 flex flex-row gap-0 min-h-0 overflow-hidden">
             <div className="min-w-0 overflow-hidden" style={{ width: `${stackPct}%` }}>
-              <StackPanel stack={memState.stack} />
+              <StackPanel frames={memState.frames} changedVars={memState.changedVars} />
             </div>
 
             <Resizer direction="horizontal" onResize={handleStackResize} />
 
             <div className="flex-1 min-w-0 overflow-hidden">
-              <HeapPanel heap={memState.heap} lastModified={memState.lastModified} />
+              <HeapPanel heap={memState.heap} lastModified={memState.lastModified} changedField={memState.changedField} />
             </div>
           </div>
         </div>
@@ -1,9 +1,20 @@
 /**
  * CodePanel.jsx
- * Code editor with Java syntax highlighting and auto-indentation.
+ * Code editor with Java syntax highlighting and auto-indentation, its own
+ * undo/redo history, auto-closing and matching brackets, Ctrl+/ comment
+ * toggling, and completion of declared names and fields.
+ * Clicking a line number toggles a breakpoint; right-clicking one edits its
+ * condition (e.g. `cur == null`) in a bar above the code.
+ * Errors are underlined at their exact columns, explained on hover, and
+ * marked in the gutter.
  */
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useEffect, useCallback, useMemo, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { createHistory, recordEdit, undo, redo } from '../lib/editHistory';
+import {
+    insertIndent, insertNewline, insertCharacter, deleteBackward, toggleComment, bracketPairAt,
+} from '../lib/editing';
+import { collectSymbols, completionsAt } from '../lib/completions';
 
 const SAMPLE_CODE = `// Node class definition
 class Node {
@@ -57,7 +68,7 @@ const KEYWORDS = new Set([
 
 const TYPES = new Set(['int', 'String', 'Node', 'null', 'this', 'args']);
 
-function tokenizeLine(line) {
+function tokenizeLine(line, classNames) {
     if (/^\s*\/\//.test(line)) {
         return [{ text: line, color: COLORS.comment, italic: true }];
     }
@@ -81,9 +92,9 @@ function tokenizeLine(line) {
             break;
         }
 
-        if (ch === '"') {
+        if (ch === '"' || ch === "'") {
             let j = i + 1;
-            while (j < line.length && line[j] !== '"') j++;
+            while (j < line.length && line[j] !== ch) j += line[j] === '\\' ? 2 : 1;
             j++;
             tokens.push({ text: line.slice(i, j), color: COLORS.string });
             i = j;
@@ -116,7 +127,7 @@ function tokenizeLine(line) {
 
             if (isDotAccess) {
                 color = COLORS.property;
-            } else if (TYPES.has(word)) {
+            } else if (TYPES.has(word) || classNames?.has(word)) {
                 color = COLORS.type;
                 bold = true;
             } else if (KEYWORDS.has(word)) {
@@ -155,17 +166,78 @@ function tokenizeLine(line) {
     return tokens;
 }
 
-function HighlightedLine({ line }) {
-    const tokens = tokenizeLine(line);
+const LINE_HEIGHT = 22;
+const PADDING_TOP = 4;
+const PADDING_LEFT = 12;
+const MAX_COMPLETIONS = 8;
+
+function snapshotOf(ta) {
+    return { value: ta.value, start: ta.selectionStart, end: ta.selectionEnd };
+}
+
+/** Zero-based line and column of a character index. */
+function positionOf(value, index) {
+    const before = value.slice(0, index);
+    return { line: before.split('\n').length - 1, column: index - before.lastIndexOf('\n') - 1 };
+}
+
+/**
+ * Columns to underline for an error on `line`. Errors without a range
+ * (e.g. a run that ran out of budget) underline the whole statement.
+ */
+function squiggleRange(error, line) {
+    if (error.endColumn > error.column) return { start: error.column, end: error.endColumn };
+    const start = line.length - line.trimStart().length;
+    return { start, end: Math.max(line.trimEnd().length, start + 1) };
+}
+
+/** Split tokens wherever a squiggle or bracket highlight starts or ends. */
+function markTokens(tokens, squiggles, brackets) {
+    const marksAt = col => ({
+        squiggle: squiggles.some(s => col >= s.start && col < s.end),
+        bracket: brackets.includes(col),
+    });
+    const pieces = [];
+    let col = 0;
+    for (const tok of tokens) {
+        let i = 0;
+        while (i < tok.text.length) {
+            const marks = marksAt(col + i);
+            let j = i + 1;
+            while (j < tok.text.length) {
+                const next = marksAt(col + j);
+                if (next.squiggle !== marks.squiggle || next.bracket !== marks.bracket) break;
+                j++;
+            }
+            pieces.push({ ...tok, text: tok.text.slice(i, j), ...marks });
+            i = j;
+        }
+        col += tok.text.length;
+    }
+    return pieces;
+}
+
+function HighlightedLine({ line, classNames, squiggles, brackets }) {
+    const tokens = tokenizeLine(line, classNames);
+    // A missing ';' is reported just past the end of the line
+    const end = Math.max(line.length, ...squiggles.map(s => s.end));
+    if (end > line.length) tokens.push({ text: ' '.repeat(end - line.length), color: COLORS.text });
+
     return (
         <>
-            {tokens.map((tok, i) => (
+            {markTokens(tokens, squiggles, brackets).map((tok, i) => (
                 <span
                     key={i}
                     style={{
                         color: tok.color,
                         fontWeight: tok.bold ? 600 : undefined,
                         fontStyle: tok.italic ? 'italic' : undefined,
+                        textDecoration: tok.squiggle ? 'underline wavy #f87171' : undefined,
+                        textDecorationSkipInk: tok.squiggle ? 'none' : undefined,
+                        textUnderlineOffset: tok.squiggle ? 4 : undefined,
+                        background: tok.bracket ? 'rgba(201,160,108,0.15)' : undefined,
+                        outline: tok.bracket ? '1px solid rgba(201,160,108,0.5)' : undefined,
+                        borderRadius: tok.bracket ? 2 : undefined,
                     }}
                 >
                     {tok.text}
@@ -176,11 +248,81 @@ function HighlightedLine({ line }) {
 }
 
 // ── Component ────────────────────────────────────────────────────────────
-export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
+export default function CodePanel({
+    code,
+    onCodeChange,
+    activeLineIndex,
+    skippedLines,
+    errors,
+    isFaulting,
+    breakpoints,
+    onToggleBreakpoint,
+    onBreakpointConditionChange,
+}) {
+    const [editingLine, setEditingLine] = useState(null);
+    const [hover, setHover] = useState(null);
+    const [caret, setCaret] = useState(null);
+    const [completion, setCompletion] = useState(null);
+    const historyRef = useRef(createHistory());
+    // Selection before the browser applies a keystroke, for the undo snapshot
+    const selectionRef = useRef({ start: 0, end: 0 });
+    const measureRef = useRef(null);
+    const editing = editingLine !== null ? breakpoints?.get(editingLine) : null;
     const textareaRef = useRef(null);
     const overlayRef = useRef(null);
     const gutterRef = useRef(null);
     const lines = code.split('\n');
+    // User-declared classes (Node, ListNode, ...) are highlighted like built-in types
+    const classNames = useMemo(
+        () => new Set([...code.matchAll(/\bclass\s+(\w+)/g)].map(m => m[1])),
+        [code]
+    );
+    // line → [{ start, end, message }]
+    const squigglesByLine = useMemo(() => {
+        const byLine = new Map();
+        for (const error of errors ?? []) {
+            const line = code.split('\n')[error.lineIndex];
+            if (line === undefined) continue;
+            if (!byLine.has(error.lineIndex)) byLine.set(error.lineIndex, []);
+            byLine.get(error.lineIndex).push({ ...squiggleRange(error, line), message: error.message });
+        }
+        return byLine;
+    }, [errors, code]);
+    const symbols = useMemo(() => collectSymbols(code), [code]);
+    // line → columns of the bracket pair at the caret
+    const bracketsByLine = useMemo(() => {
+        const pair = caret !== null ? bracketPairAt(code, caret) : null;
+        const byLine = new Map();
+        for (const index of pair ? [pair.open, pair.close] : []) {
+            const { line, column } = positionOf(code, index);
+            byLine.set(line, [...(byLine.get(line) ?? []), column]);
+        }
+        return byLine;
+    }, [code, caret]);
+
+    const charWidth = useCallback(() => {
+        const measure = measureRef.current;
+        return measure.getBoundingClientRect().width / measure.textContent.length;
+    }, []);
+
+    // The overlay ignores the mouse, so map the pointer to a line and column ourselves
+    const handleMouseMove = useCallback((e) => {
+        const ta = textareaRef.current;
+        if (!ta || !measureRef.current) return;
+        const rect = ta.getBoundingClientRect();
+        const line = Math.floor((e.clientY - rect.top + ta.scrollTop - PADDING_TOP) / LINE_HEIGHT);
+        const col = Math.floor((e.clientX - rect.left + ta.scrollLeft - PADDING_LEFT) / charWidth());
+        const hit = squigglesByLine.get(line)?.filter(s => col >= s.start && col < s.end) ?? [];
+        if (hit.length === 0) {
+            setHover(prev => (prev ? null : prev));
+            return;
+        }
+        setHover({
+            messages: hit.map(s => s.message),
+            left: e.clientX - rect.left,
+            top: (line + 1) * LINE_HEIGHT + PADDING_TOP - ta.scrollTop,
+        });
+    }, [squigglesByLine, charWidth]);
 
     const handleScroll = useCallback(() => {
         const ta = textareaRef.current;
@@ -192,6 +334,8 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
         if (gutterRef.current) {
             gutterRef.current.scrollTop = ta.scrollTop;
         }
+        setHover(null);
+        setCompletion(null);
     }, []);
 
     useEffect(() => {
@@ -201,37 +345,126 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
         return () => ta.removeEventListener('scroll', handleScroll);
     }, [handleScroll]);
 
+    /** Show the editor at `next`, leaving the caret or selection where it says. */
+    const show = useCallback((ta, next) => {
+        onCodeChange(next.value);
+        requestAnimationFrame(() => {
+            ta.selectionStart = next.start;
+            ta.selectionEnd = next.end;
+            selectionRef.current = { start: next.start, end: next.end };
+            setCaret(next.start === next.end ? next.start : null);
+        });
+    }, [onCodeChange]);
+
+    const applyEdit = useCallback((ta, next, kind) => {
+        historyRef.current = recordEdit(historyRef.current, snapshotOf(ta), kind);
+        show(ta, next);
+    }, [show]);
+
+    const travel = useCallback((ta, move) => {
+        const result = move(historyRef.current, snapshotOf(ta));
+        if (!result) return;
+        historyRef.current = result.history;
+        show(ta, result.snapshot);
+    }, [show]);
+
+    /** Completion popup for the word at the caret, placed under its first letter. */
+    const completeAt = useCallback((ta, value) => {
+        const result = completionsAt(value, ta.selectionStart, symbols);
+        if (!result) return null;
+        const { line, column } = positionOf(value, result.from);
+        return {
+            ...result,
+            items: result.items.slice(0, MAX_COMPLETIONS),
+            index: 0,
+            left: PADDING_LEFT + column * charWidth() - ta.scrollLeft,
+            top: (line + 1) * LINE_HEIGHT + PADDING_TOP - ta.scrollTop,
+        };
+    }, [symbols, charWidth]);
+
+    const acceptCompletion = useCallback((ta, item) => {
+        const { value } = ta;
+        const start = completion.from + item.label.length;
+        applyEdit(ta, { value: value.slice(0, completion.from) + item.label + value.slice(completion.to), start, end: start }, 'complete');
+        setCompletion(null);
+    }, [completion, applyEdit]);
+
+    // Typing the browser handles itself: plain characters, paste, cut
+    const handleChange = useCallback((e) => {
+        const ta = e.target;
+        const { inputType, data } = e.nativeEvent;
+        const kind = inputType === 'insertText' ? 'type' : inputType;
+        historyRef.current = recordEdit(historyRef.current, { value: code, ...selectionRef.current }, kind);
+        onCodeChange(ta.value);
+        selectionRef.current = { start: ta.selectionStart, end: ta.selectionEnd };
+
+        const isWordChar = inputType === 'insertText' && /^[\w$.]$/.test(data ?? '');
+        const isRefining = completion && inputType === 'deleteContentBackward';
+        setCompletion(isWordChar || isRefining ? completeAt(ta, ta.value) : null);
+    }, [code, onCodeChange, completion, completeAt]);
+
     const handleKeyDown = useCallback((e) => {
         const ta = e.target;
-        const { selectionStart, selectionEnd, value } = ta;
+        const s = snapshotOf(ta);
+        selectionRef.current = { start: s.start, end: s.end };
+
+        if (completion) {
+            const count = completion.items.length;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setCompletion({ ...completion, index: (completion.index + step + count) % count });
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                acceptCompletion(ta, completion.items[completion.index]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setCompletion(null);
+                return;
+            }
+            if (['ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) setCompletion(null);
+        }
 
-        if (e.key === 'Tab') {
-            e.preventDefault();
-            const spaces = '    ';
-            const newVal = value.substring(0, selectionStart) + spaces + value.substring(selectionEnd);
-            onCodeChange(newVal);
-            requestAnimationFrame(() => {
-                ta.selectionStart = ta.selectionEnd = selectionStart + 4;
-            });
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                travel(ta, key === 'y' || e.shiftKey ? redo : undo);
+            } else if (key === '/') {
+                e.preventDefault();
+                const next = toggleComment(s);
+                if (next) applyEdit(ta, next, 'comment');
+            } else if (key === ' ') {
+                e.preventDefault();
+                setCompletion(completeAt(ta, s.value));
+            }
+            return;
         }
+        if (e.altKey) return;
 
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            const before = value.substring(0, selectionStart);
-            const currentLineStart = before.lastIndexOf('\n') + 1;
-            const currentLine = before.substring(currentLineStart);
-            const indent = currentLine.match(/^\s*/)[0];
-            const trimmed = currentLine.trimEnd();
-            const extraIndent = trimmed.endsWith('{') ? '    ' : '';
-            const insertion = '\n' + indent + extraIndent;
-            const newVal = value.substring(0, selectionStart) + insertion + value.substring(selectionEnd);
-            onCodeChange(newVal);
-            requestAnimationFrame(() => {
-                const newPos = selectionStart + insertion.length;
-                ta.selectionStart = ta.selectionEnd = newPos;
-            });
+        let next = null;
+        let kind = 'type';
+        if (e.key === 'Tab') {
+            next = insertIndent(s);
+            kind = 'indent';
+        } else if (e.key === 'Enter') {
+            next = insertNewline(s);
+            kind = 'newline';
+        } else if (e.key === 'Backspace') {
+            next = deleteBackward(s);
+            kind = 'delete';
+        } else if (e.key.length === 1) {
+            next = insertCharacter(s, e.key);
         }
-    }, [onCodeChange]);
+        if (!next) return;
+        e.preventDefault();
+        applyEdit(ta, next, kind);
+        setCompletion(null);
+    }, [completion, acceptCompletion, travel, applyEdit, completeAt]);
 
     return (
         <div className="flex flex-col h-full">
@@ -241,6 +474,26 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
                 </h2>
             </div>
 
+            {/* Breakpoint condition editor */}
+            {editing && (
+                <div className="flex items-center gap-2 mb-1 px-2 py-1 rounded-md panel text-xs">
+                    <span className="text-neutral-500 flex-shrink-0">Line {editingLine + 1} stops when</span>
+                    <input
+                        autoFocus
+                        value={editing.condition}
+                        onChange={e => onBreakpointConditionChange(editingLine, e.target.value)}
+                        onKeyDown={e => {
+                            if (e.key === 'Enter' || e.key === 'Escape') setEditingLine(null);
+                        }}
+                        onBlur={() => setEditingLine(null)}
+                        placeholder="always — or a condition like cur == null"
+                        spellCheck={false}
+                        className="flex-1 min-w-0 bg-[#111] border border-[#333] rounded px-2 py-0.5 font-mono text-neutral-300 outline-none focus:border-[#555]"
+                    />
+                    {editing.error && <span className="text-red-400 flex-shrink-0">{editing.error}</span>}
+                </div>
+            )}
+
             <div
                 className="flex-1 flex rounded-lg panel overflow-hidden min-h-0"
                 style={{ fontFamily: "'JetBrains Mono', 'Fira Code', 'Cascadia Code', 'Consolas', monospace", fontSize: 13, lineHeight: '22px' }}
@@ -252,18 +505,52 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
                     style={{ width: 38, paddingTop: 4 }}
                     aria-hidden="true"
                 >
-                    {lines.map((_, i) => (
-                        <div
-                            key={i}
-                            className={`flex items-center justify-end pr-2 transition-colors duration-100 ${i === activeLineIndex
-                                ? 'text-neutral-300 font-medium'
-                                : 'text-neutral-600'
-                                }`}
-                            style={{ height: 22, fontSize: 11 }}
-                        >
-                            {i + 1}
-                        </div>
-                    ))}
+                    {lines.map((_, i) => {
+                        const isSkipped = skippedLines?.has(i);
+                        const lineErrors = squigglesByLine.get(i);
+                        const isFault = Boolean(lineErrors);
+                        const breakpoint = breakpoints?.get(i);
+                        const breakpointTitle = !breakpoint ? 'Click to set a breakpoint · right-click for a condition'
+                            : breakpoint.condition.trim() ? `Breakpoint when ${breakpoint.condition.trim()}`
+                                : 'Breakpoint · right-click to add a condition';
+                        return (
+                            <div
+                                key={i}
+                                onClick={() => onToggleBreakpoint(i)}
+                                onContextMenu={e => {
+                                    e.preventDefault();
+                                    if (!breakpoint) onBreakpointConditionChange(i, '');
+                                    setEditingLine(i);
+                                }}
+                                className={`relative flex items-center justify-end pr-2 cursor-pointer transition-colors duration-100 ${isFault
+                                    ? 'text-red-400 font-medium'
+                                    : i === activeLineIndex
+                                        ? 'text-neutral-300 font-medium'
+                                        : isSkipped ? 'text-neutral-700 line-through' : 'text-neutral-600'
+                                    }`}
+                                style={{
+                                    height: LINE_HEIGHT,
+                                    fontSize: 11,
+                                    borderLeft: isFault ? '2px solid #f87171'
+                                        : isSkipped ? '2px dashed #333' : '2px solid transparent',
+                                }}
+                                title={isFault ? lineErrors.map(s => s.message).join('\n') : isSkipped ? `Skipped — branch not taken\n${breakpointTitle}` : breakpointTitle}
+                            >
+                                {breakpoint && (
+                                    <span
+                                        className="absolute rounded-full"
+                                        style={{
+                                            left: 4,
+                                            width: 7,
+                                            height: 7,
+                                            background: breakpoint.condition.trim() ? '#c9a06c' : '#c0605a',
+                                        }}
+                                    />
+                                )}
+                                {i + 1}
+                            </div>
+                        );
+                    })}
                 </div>
 
                 {/* Code area */}
@@ -275,10 +562,10 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
                                 key={activeLineIndex}
                                 className="absolute left-0 right-0 pointer-events-none"
                                 style={{
-                                    top: activeLineIndex * 22 + 4,
-                                    height: 22,
-                                    background: 'rgba(255,255,255,0.03)',
-                                    borderLeft: '2px solid #555',
+                                    top: activeLineIndex * LINE_HEIGHT + PADDING_TOP,
+                                    height: LINE_HEIGHT,
+                                    background: isFaulting ? 'rgba(248,113,113,0.08)' : 'rgba(255,255,255,0.03)',
+                                    borderLeft: isFaulting ? '2px solid #f87171' : '2px solid #555',
                                     zIndex: 5,
                                 }}
                                 initial={{ opacity: 0 }}
@@ -297,12 +584,55 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
                         aria-hidden="true"
                     >
                         {lines.map((line, i) => (
-                            <div key={i} style={{ height: 22 }}>
-                                <HighlightedLine line={line} />
+                            <div key={i} style={{ height: LINE_HEIGHT }}>
+                                <HighlightedLine
+                                    line={line}
+                                    classNames={classNames}
+                                    squiggles={squigglesByLine.get(i) ?? []}
+                                    brackets={bracketsByLine.get(i) ?? []}
+                                />
                             </div>
                         ))}
+                        {/* Character width probe for hover hit-testing */}
+                        <span ref={measureRef} className="absolute invisible">{'0'.repeat(32)}</span>
                     </div>
 
+                    {/* Error message under the hovered squiggle */}
+                    {hover && (
+                        <div
+                            className="absolute pointer-events-none rounded-md border border-red-400/30 bg-[#1a1a1a] px-2 py-1 text-xs text-red-300 shadow-lg max-w-[80%]"
+                            style={{ left: hover.left, top: hover.top, zIndex: 20, whiteSpace: 'pre-wrap' }}
+                        >
+                            {hover.messages.join('\n')}
+                        </div>
+                    )}
+
+                    {/* Completions for the word at the caret */}
+                    {completion && (
+                        <ul
+                            className="absolute rounded-md border border-[#333] bg-[#1a1a1a] py-1 text-xs shadow-lg"
+                            style={{ left: completion.left, top: completion.top, zIndex: 20, minWidth: 160 }}
+                        >
+                            {completion.items.map((item, i) => (
+                                <li
+                                    key={`${item.kind}:${item.label}`}
+                                    // mousedown, so the textarea keeps focus
+                                    onMouseDown={e => {
+                                        e.preventDefault();
+                                        acceptCompletion(textareaRef.current, item);
+                                    }}
+                                    className={`flex justify-between gap-4 px-2 py-0.5 cursor-pointer ${i === completion.index
+                                        ? 'bg-[#333] text-neutral-200'
+                                        : 'text-neutral-400 hover:bg-[#222]'
+                                        }`}
+                                >
+                                    <span>{item.label}</span>
+                                    <span className="text-neutral-600">{item.detail}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
                     {/* Transparent textarea */}
                     <textarea
                         ref={textareaRef}
@@ -318,8 +648,20 @@ export default function CodePanel({ code, onCodeChange, activeLineIndex }) {
                             zIndex: 10,
                         }}
                         value={code}
-                        onChange={e => onCodeChange(e.target.value)}
+                        onChange={handleChange}
                         onKeyDown={handleKeyDown}
+                        onSelect={e => {
+                            const { selectionStart, selectionEnd } = e.target;
+                            selectionRef.current = { start: selectionStart, end: selectionEnd };
+                            setCaret(selectionStart === selectionEnd ? selectionStart : null);
+                        }}
+                        onMouseDown={() => setCompletion(null)}
+                        onBlur={() => {
+                            setCaret(null);
+                            setCompletion(null);
+                        }}
+                        onMouseMove={handleMouseMove}
+                        onMouseLeave={() => setHover(null)}
                         spellCheck={false}
                         placeholder="Write your Java linked list code here..."
                     />
@@ -0,0 +1,52 @@
+/**
+ * ConsolePanel.jsx
+ * Output of System.out.print / println up to the current step. Each piece of
+ * output links back to the step that printed it; the current step's output
+ * is highlighted.
+ */
+import React, { useEffect, useRef } from 'react';
+import { consoleLinesAt } from '../lib/interpreter';
+
+export default function ConsolePanel({ steps, currentStep, onSeek }) {
+    const lines = consoleLinesAt(steps, currentStep);
+    const scrollRef = useRef(null);
+
+    // Keep the newest output in view, like a terminal
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (el) el.scrollTop = el.scrollHeight;
+    }, [lines.length]);
+
+    return (
+        <div className="panel rounded-lg flex flex-col min-h-0">
+            <div className="flex items-center justify-between px-4 pt-2 pb-1">
+                <h2 className="text-xs font-medium text-neutral-500 uppercase tracking-wider">Console</h2>
+                <span className="text-xs text-neutral-600 font-mono">{lines.length} lines</span>
+            </div>
+
+            <div ref={scrollRef} className="max-h-32 overflow-y-auto px-4 pb-2 font-mono text-xs whitespace-pre">
+                {lines.length === 0 ? (
+                    <span className="text-neutral-600">No output yet</span>
+                ) : (
+                    lines.map((segments, i) => (
+                        <div key={i} className="min-h-[18px] leading-[18px]">
+                            {segments.map(({ text, step }, k) => (
+                                <span
+                                    key={k}
+                                    onClick={() => onSeek(step)}
+                                    title={`Step ${step + 1} · line ${steps[step].lineIndex + 1}`}
+                                    className={`cursor-pointer rounded-sm transition-colors duration-100 ${step === currentStep
+                                        ? 'bg-[#1f2a1f] text-[#86efac]'
+                                        : 'text-neutral-300 hover:bg-[#222]'
+                                        }`}
+                                >
+                                    {text || ' '}
+                                </span>
+                            ))}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,27 +1,144 @@
 /**
  * Controls.jsx
- * Playback controls: Run, Step, Pause, Reset + step counter + speed slider.
+ * Playback controls: Run, Reverse, Back, Step, Pause, Reset + step counter + speed slider,
+ * and run options: a final garbage-collector sweep and the step and time
+ * budgets that stop a runaway loop.
+ * When playback has stopped on a breakpoint, Run continues from there.
+ * The timeline scrubber jumps straight to any step and marks allocations,
+ * pointer rewires and exceptions along the trace.
  */
-import React from 'react';
+import React, { useMemo, useRef } from 'react';
 import { motion } from 'framer-motion';
+import { stepCategory } from '../lib/interpreter';
+import { CATEGORY_COLORS } from './categoryColors';
 
 const BTN =
     'flex items-center gap-1.5 px-3 py-1.5 rounded-md text-xs font-medium transition-all duration-100 disabled:opacity-25 disabled:cursor-not-allowed border border-[#333] bg-[#1a1a1a] hover:bg-[#252525] text-neutral-300';
 
+const STEP_BUDGETS = [1000, 5000, 20000, 100000];
+const TIME_BUDGETS = [1000, 2000, 5000, 10000]; // ms
+
+const SELECT =
+    'bg-[#1a1a1a] border border-[#333] rounded px-1 py-0.5 text-xs text-neutral-400 outline-none focus:border-[#555]';
+
+const CATEGORY_PRIORITY = { allocation: 1, rewire: 2, error: 3 };
+
+// Markers closer than this fraction of the track share one tick
+const MARKER_RESOLUTION = 200;
+
+function Scrubber({ steps, currentStep, onSeek }) {
+    const trackRef = useRef(null);
+    const total = steps.length;
+    const progress = ((currentStep + 1) / total) * 100;
+
+    // One tick per slot of the track; an exception outranks a rewire outranks an allocation
+    const markers = useMemo(() => {
+        const slots = new Map();
+        steps.forEach((step, i) => {
+            const category = stepCategory(step);
+            if (!category) return;
+            const slot = Math.round(((i + 1) / steps.length) * MARKER_RESOLUTION);
+            const taken = slots.get(slot);
+            if (!taken || CATEGORY_PRIORITY[category] > CATEGORY_PRIORITY[taken.category]) {
+                slots.set(slot, { index: i, category });
+            }
+        });
+        return [...slots.values()];
+    }, [steps]);
+
+    // Left edge = initial state (-1), right edge = last step
+    const seekTo = (clientX) => {
+        const rect = trackRef.current.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        onSeek(Math.round(fraction * total) - 1);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowLeft') onSeek(Math.max(-1, currentStep - 1));
+        else if (e.key === 'ArrowRight') onSeek(Math.min(total - 1, currentStep + 1));
+        else if (e.key === 'Home') onSeek(-1);
+        else if (e.key === 'End') onSeek(total - 1);
+        else return;
+        e.preventDefault();
+    };
+
+    return (
+        <div
+            ref={trackRef}
+            role="slider"
+            tabIndex={0}
+            aria-label="Timeline"
+            aria-valuemin={0}
+            aria-valuemax={total}
+            aria-valuenow={currentStep + 1}
+            className="relative w-full h-4 cursor-pointer touch-none outline-none group"
+            onPointerDown={e => {
+                e.currentTarget.setPointerCapture(e.pointerId);
+                seekTo(e.clientX);
+            }}
+            onPointerMove={e => {
+                if (e.currentTarget.hasPointerCapture(e.pointerId)) seekTo(e.clientX);
+            }}
+            onKeyDown={handleKeyDown}
+        >
+            <div className="absolute left-0 right-0 top-1/2 -translate-y-1/2 h-1 bg-[#1a1a1a] rounded-full overflow-hidden">
+                <motion.div
+                    className="h-full bg-[#444] rounded-full"
+                    animate={{ width: `${progress}%` }}
+                    transition={{ duration: 0.15 }}
+                />
+            </div>
+
+            {markers.map(({ index, category }) => (
+                <div
+                    key={index}
+                    className="absolute top-1/2 -translate-y-1/2 -translate-x-1/2 rounded-full"
+                    style={{
+                        left: `${((index + 1) / total) * 100}%`,
+                        width: 2,
+                        height: category === 'error' ? 12 : 8,
+                        background: CATEGORY_COLORS[category],
+                        opacity: index <= currentStep ? 0.9 : 0.45,
+                    }}
+                    title={`Step ${index + 1}: ${steps[index].description}`}
+                />
+            ))}
+
+            {/* Thumb */}
+            <motion.div
+                className="absolute top-1/2 w-2.5 h-2.5 -mt-[5px] -ml-[5px] rounded-full bg-neutral-400 group-focus-visible:ring-1 group-focus-visible:ring-neutral-300"
+                animate={{ left: `${progress}%` }}
+                transition={{ duration: 0.15 }}
+            />
+        </div>
+    );
+}
+
 export default function Controls({
     isPlaying,
     currentStep,
+    steps,
     totalSteps,
     speed,
     onRun,
     onStep,
+    onBack,
+    onReverse,
     onPause,
     onReset,
     onSpeedChange,
+    onSeek,
     hasSteps,
+    isAtBreakpoint,
+    gcSweep,
+    onGcSweepChange,
+    maxSteps,
+    onMaxStepsChange,
+    timeLimit,
+    onTimeLimitChange,
 }) {
-    const progress = totalSteps > 0 ? ((currentStep + 1) / totalSteps) * 100 : 0;
     const isDone = currentStep >= totalSteps - 1 && totalSteps > 0;
+    const isAtStart = currentStep < 0;
 
     return (
         <div className="panel rounded-lg px-4 py-3 flex flex-col gap-2">
@@ -42,10 +159,28 @@ export default function Controls({
                         disabled={!hasSteps || isDone}
                         className={BTN}
                     >
-                        ▶ {isDone ? 'Done' : 'Run'}
+                        ▶ {isDone ? 'Done' : isAtBreakpoint ? 'Continue' : 'Run'}
                     </motion.button>
                 )}
 
+                <motion.button
+                    whileTap={{ scale: 0.97 }}
+                    onClick={onReverse}
+                    disabled={!hasSteps || isPlaying || isAtStart}
+                    className={BTN}
+                >
+                    ◀ Reverse
+                </motion.button>
+
+                <motion.button
+                    whileTap={{ scale: 0.97 }}
+                    onClick={onBack}
+                    disabled={!hasSteps || isPlaying || isAtStart}
+                    className={BTN}
+                >
+                    ⏮ Back
+                </motion.button>
+
                 <motion.button
                     whileTap={{ scale: 0.97 }}
                     onClick={onStep}
@@ -70,15 +205,9 @@ export default function Controls({
                 </div>
             </div>
 
-            {/* Progress bar */}
+            {/* Timeline scrubber */}
             {totalSteps > 0 && (
-                <div className="w-full bg-[#1a1a1a] rounded-full h-1 overflow-hidden">
-                    <motion.div
-                        className="h-full bg-[#444] rounded-full"
-                        animate={{ width: `${progress}%` }}
-                        transition={{ duration: 0.3 }}
-                    />
-                </div>
+                <Scrubber steps={steps} currentStep={currentStep} onSeek={onSeek} />
             )}
 
             {/* Speed slider */}
@@ -95,6 +224,47 @@ export default function Controls({
                 />
                 <span>Fast</span>
             </div>
+
+            {/* Run options */}
+            <div className="flex items-center gap-4 flex-wrap">
+                <label
+                    className="flex items-center gap-1.5 text-xs text-neutral-500 cursor-pointer select-none"
+                    title="Add a final step that frees every unreachable node"
+                >
+                    <input
+                        type="checkbox"
+                        checked={gcSweep}
+                        onChange={e => onGcSweepChange(e.target.checked)}
+                        className="accent-neutral-500"
+                    />
+                    GC sweep
+                </label>
+
+                <label
+                    className="flex items-center gap-1.5 text-xs text-neutral-500"
+                    title="Stop a run that takes more steps or more time than this — usually a loop that never ends"
+                >
+                    Budget
+                    <select
+                        value={maxSteps}
+                        onChange={e => onMaxStepsChange(Number(e.target.value))}
+                        className={SELECT}
+                    >
+                        {STEP_BUDGETS.map(n => (
+                            <option key={n} value={n}>{n.toLocaleString()} steps</option>
+                        ))}
+                    </select>
+                    <select
+                        value={timeLimit}
+                        onChange={e => onTimeLimitChange(Number(e.target.value))}
+                        className={SELECT}
+                    >
+                        {TIME_BUDGETS.map(ms => (
+                            <option key={ms} value={ms}>{ms / 1000} s</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
         </div>
     );
 }
@@ -0,0 +1,29 @@
+/**
+ * FlashValue.jsx
+ * A value in the stack, heap, node cards or watches that flashes green when
+ * the current step changed it.
+ */
+import React from 'react';
+import { motion } from 'framer-motion';
+import { formatValue } from '../lib/evaluator';
+
+/**
+ * @param {*} value — keyed on, so every new value remounts and replays the flash
+ * @param {string} [type] — Java type for formatValue
+ * @param {boolean} changed
+ * @param {string} [color] — resting text colour
+ * @param {React.ReactNode} [children] — shown instead of the formatted value
+ */
+export default function FlashValue({ value, type, changed, color = '#e5e5e5', children }) {
+    return (
+        <motion.span
+            key={`${value}`}
+            initial={changed ? { scale: 1.3, color: '#86efac' } : false}
+            animate={{ scale: 1, color }}
+            transition={{ duration: 0.4 }}
+            className="inline-block"
+        >
+            {children ?? formatValue(value, type)}
+        </motion.span>
+    );
+}
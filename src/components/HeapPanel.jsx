@@ -1,13 +1,33 @@
 /**
  * HeapPanel.jsx
- * Displays Heap memory — Node objects with address, data, and next pointer.
+ * Displays Heap memory — objects with their address and every declared field.
+ * Objects no root can reach any more are dimmed and tagged as garbage.
  */
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import FlashValue from './FlashValue';
 
-export default function HeapPanel({ heap, lastModified }) {
+function RefCell({ value }) {
+    return value ? (
+        <span className="bg-[#222] rounded px-2 py-0.5 text-neutral-400">
+            {value}
+        </span>
+    ) : (
+        <span className="text-neutral-600">null</span>
+    );
+}
+
+export default function HeapPanel({ heap, lastModified, changedField }) {
     const entries = Object.entries(heap);
 
+    // One column per field name, in declaration order of first appearance
+    const columns = [];
+    for (const [, node] of entries) {
+        for (const name of Object.keys(node.fields)) {
+            if (!columns.includes(name)) columns.push(name);
+        }
+    }
+
     return (
         <div className="flex flex-col h-full">
             <h2 className="text-xs font-medium text-neutral-500 uppercase tracking-wider mb-2">
@@ -24,20 +44,22 @@ export default function HeapPanel({ heap, lastModified }) {
                         <thead>
                             <tr className="border-b border-[#222]">
                                 <th className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">Address</th>
-                                <th className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">data</th>
-                                <th className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">next</th>
+                                {columns.map(name => (
+                                    <th key={name} className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">{name}</th>
+                                ))}
                             </tr>
                         </thead>
                         <tbody>
                             <AnimatePresence>
                                 {entries.map(([addr, node]) => {
                                     const isActive = addr === lastModified;
+                                    const { garbageSince } = node;
                                     return (
                                         <motion.tr
                                             key={addr}
                                             initial={{ opacity: 0, x: 12 }}
                                             animate={{
-                                                opacity: 1,
+                                                opacity: garbageSince ? 0.45 : 1,
                                                 x: 0,
                                                 backgroundColor: isActive
                                                     ? 'rgba(255, 255, 255, 0.03)'
@@ -48,23 +70,38 @@ export default function HeapPanel({ heap, lastModified }) {
                                             className={`border-b border-[#1a1a1a] transition-colors ${isActive ? '' : 'hover:bg-[#1e1e1e]'
                                                 }`}
                                         >
-                                            <td className="px-4 py-2 font-mono text-xs">
-                                                <span className="bg-[#222] rounded px-2 py-0.5 text-neutral-400">
+                                            <td
+                                                className="px-4 py-2 font-mono text-xs whitespace-nowrap"
+                                                title={garbageSince
+                                                    ? `Unreachable since step ${garbageSince.step + 1} (line ${garbageSince.lineIndex + 1})`
+                                                    : undefined}
+                                            >
+                                                <span className={`bg-[#222] rounded px-2 py-0.5 text-neutral-400 ${garbageSince ? 'line-through' : ''}`}>
                                                     {addr}
                                                 </span>
-                                            </td>
-                                            <td className="px-4 py-2 font-mono text-neutral-200 text-xs font-medium">
-                                                {node.data}
-                                            </td>
-                                            <td className="px-4 py-2 font-mono text-xs">
-                                                {node.next ? (
-                                                    <span className="bg-[#222] rounded px-2 py-0.5 text-neutral-400">
-                                                        {node.next}
+                                                {garbageSince && (
+                                                    <span className="ml-2 text-[10px] text-neutral-500">
+                                                        garbage · step {garbageSince.step + 1}
                                                     </span>
-                                                ) : (
-                                                    <span className="text-neutral-600">null</span>
                                                 )}
                                             </td>
+                                            {columns.map(name => (
+                                                !(name in node.fields) ? (
+                                                    <td key={name} className="px-4 py-2" />
+                                                ) : node.refFields.includes(name) ? (
+                                                    <td key={name} className="px-4 py-2 font-mono text-xs">
+                                                        <RefCell value={node.fields[name]} />
+                                                    </td>
+                                                ) : (
+                                                    <td key={name} className="px-4 py-2 font-mono text-neutral-200 text-xs font-medium">
+                                                        <FlashValue
+                                                            value={node.fields[name]}
+                                                            type={node.fieldTypes[name]}
+                                                            changed={changedField?.address === addr && changedField.field === name}
+                                                        />
+                                                    </td>
+                                                )
+                                            ))}
                                         </motion.tr>
                                     );
                                 })}
@@ -1,114 +1,334 @@
 /**
  * LinkedListView.jsx
- * Renders the linked list as animated node cards with SVG arrows.
+ * Renders the whole heap as animated node cards with SVG arrows: one grid per
+ * group of connected nodes, one row per list (see heapLayout.js).
+ * Nodes that became unreachable are dimmed in place; nodes on a cycle are
+ * highlighted and the link that closes the loop is drawn as a curved back edge.
  */
-import React, { useRef, useEffect, useState } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { buildChain, findHeadAddress, getVarsAtAddress } from '../lib/memoryModel';
+import React, { useRef, useEffect, useLayoutEffect, useState } from 'react';
+import { motion, AnimatePresence, useAnimate } from 'framer-motion';
+import { getVarsAtAddress, linkField, topFrame } from '../lib/memoryModel';
+import { layoutHeap } from '../lib/heapLayout';
+import FlashValue from './FlashValue';
+
+// One colour per pointer variable, in the order the frame declared them
+const POINTER_COLORS = ['#8aabcc', '#c9a06c', '#7dab8f', '#b89aaf', '#9f8ec2', '#c98a8a', '#8fc1c1', '#b5b86a'];
+
+const MAX_HOPS = 4;            // longest run of links a moving pointer is routed along
+const HOP_DURATION = 0.45;     // s per link travelled
+const STAGGER = 0.15;          // s between pointers moved by the same step
+const SAMPLES_PER_HOP = 8;
+
+/**
+ * A variable's badge. When the variable moved to this node, `planTravel`
+ * gives the way it came — from its old badge along the arrows — and the badge
+ * starts there before the first paint and travels in; otherwise it fades in.
+ */
+function VarBadge({ name, color, planTravel }) {
+    const [scope, animate] = useAnimate();
+    // Only the step that mounted the badge decides how it arrives
+    const [plan] = useState(() => planTravel);
+    const travelRef = useRef(undefined);
+
+    useLayoutEffect(() => {
+        const el = scope.current;
+        // Planned once: a repeated effect (StrictMode) would find the move already recorded
+        if (travelRef.current === undefined) travelRef.current = plan(name);
+        const travel = travelRef.current;
+        if (!travel) {
+            animate(el, { opacity: [0, 1] }, { duration: 0.2 });
+            return;
+        }
+        // Rest position, unaffected by transforms; same frame as the points
+        const restX = el.offsetLeft + el.offsetWidth / 2;
+        const restY = el.offsetTop + el.offsetHeight / 2;
+        const x = [...travel.points.map(p => p.x - restX), 0];
+        const y = [...travel.points.map(p => p.y - restY), 0];
+        // Keyframe times by distance covered, for an even speed along the curves
+        const distances = x.map((_, i) => (i === 0 ? 0 : Math.hypot(x[i] - x[i - 1], y[i] - y[i - 1])));
+        const total = distances.reduce((sum, d) => sum + d, 0) || 1;
+        let covered = 0;
+        const times = distances.map(d => (covered += d) / total);
+        animate(el, { x: x[0], y: y[0] }, { duration: 0 });
+        animate(el, { x, y }, { duration: travel.duration, delay: travel.delay, times, ease: 'linear' });
+    }, [scope, animate, plan, name]);
 
-function VarBadge({ name }) {
     return (
-        <motion.span
-            initial={{ opacity: 0, y: -6 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: -6 }}
-            transition={{ type: 'spring', stiffness: 400, damping: 20 }}
-            className="inline-flex items-center gap-1 border border-[#333] rounded-full px-2 py-0.5 text-xs font-mono text-neutral-400 bg-[#1a1a1a]"
+        <span
+            ref={scope}
+            data-badge={name}
+            className="relative z-20 inline-flex items-center gap-1 border rounded-full px-2 py-0.5 text-xs font-mono bg-[#1a1a1a]"
+            style={{ borderColor: `${color}66`, color }}
         >
             {name}
-        </motion.span>
+        </span>
     );
 }
 
-function NodeCard({ address, node, isActive, index, varLabels }) {
-    const isCycle = address.startsWith('CYCLE:');
-    const realAddr = isCycle ? address.replace('CYCLE:', '') : address;
+function NodeCard({ address, node, isActive, index, pointers, planTravel, changedField, inCycle }) {
+    const valueFields = Object.keys(node.fields).filter(name => !node.refFields.includes(name));
 
     return (
         <div className="flex flex-col items-center gap-2">
             {/* Variable pointer badges */}
             <div className="flex flex-wrap justify-center gap-1 min-h-[24px]">
-                <AnimatePresence>
-                    {varLabels.map(name => (
-                        <VarBadge key={name} name={name} />
-                    ))}
-                </AnimatePresence>
+                {pointers.map(pointer => (
+                    <VarBadge key={pointer.name} {...pointer} planTravel={planTravel} />
+                ))}
             </div>
 
-            {varLabels.length > 0 && (
-                <motion.div
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    className="text-neutral-600 text-sm leading-none"
-                >
-                    ↓
-                </motion.div>
-            )}
+            {/* Always takes its space so cards in one row line up */}
+            <motion.div
+                animate={{ opacity: pointers.length > 0 ? 1 : 0 }}
+                className="text-neutral-600 text-sm leading-none"
+            >
+                ↓
+            </motion.div>
 
-            {/* Node card */}
+            {/* Node card — measured by LinkedListView to draw the arrows */}
             <motion.div
+                data-addr={address}
                 layout
                 initial={{ opacity: 0, y: 20, scale: 0.9 }}
                 animate={{ opacity: 1, y: 0, scale: 1 }}
                 exit={{ opacity: 0, scale: 0.8 }}
                 transition={{ type: 'spring', stiffness: 300, damping: 22, delay: index * 0.05 }}
                 className={`relative flex-shrink-0 rounded-lg border overflow-hidden
-          ${isActive ? 'border-neutral-500' : 'border-[#333]'}`}
-                style={{ minWidth: 110 }}
+          ${node.garbageSince ? 'border-dashed border-[#333] opacity-40'
+                        : isActive ? 'border-neutral-500'
+                            : inCycle ? 'border-[#8a6d3b]' : 'border-[#333]'}`}
+                style={{ minWidth: node.refFields.length > 1 ? 140 : 110 }}
             >
-                {/* Cycle badge */}
-                {isCycle && (
-                    <div className="absolute -top-2 left-1/2 -translate-x-1/2 bg-neutral-600 text-white text-xs px-2 py-0.5 rounded-full z-10">
-                        CYCLE ↩
+                {inCycle && (
+                    <div
+                        className="absolute top-1 right-1.5 text-[10px] text-[#c9a06c] leading-none"
+                        title="This node is part of a cycle"
+                    >
+                        ↻
                     </div>
                 )}
 
-                {/* Data section */}
+                {/* Data section — every primitive field */}
                 <div className="bg-[#1a1a1a] px-5 py-3 text-center">
-                    <div className="text-xs text-neutral-500 mb-1 font-mono">{realAddr}</div>
-                    <div className="text-xl font-semibold text-neutral-100">{node?.data ?? '?'}</div>
-                    <div className="text-xs text-neutral-600 mt-1">data</div>
+                    <div className="text-xs text-neutral-500 mb-1 font-mono">{address}</div>
+                    {valueFields.length === 1 ? (
+                        <>
+                            <div className="text-xl font-semibold text-neutral-100 max-w-[160px] truncate mx-auto">
+                                <FlashValue
+                                    value={node.fields[valueFields[0]]}
+                                    type={node.fieldTypes[valueFields[0]]}
+                                    changed={changedField === valueFields[0]}
+                                    color="#f5f5f5"
+                                />
+                            </div>
+                            <div className="text-xs text-neutral-600 mt-1">{valueFields[0]}</div>
+                        </>
+                    ) : (
+                        valueFields.map(name => (
+                            <div key={name} className="flex items-baseline justify-between gap-3 text-xs">
+                                <span className="text-neutral-600">{name}</span>
+                                <span className="font-semibold text-neutral-100 font-mono max-w-[120px] truncate">
+                                    <FlashValue
+                                        value={node.fields[name]}
+                                        type={node.fieldTypes[name]}
+                                        changed={changedField === name}
+                                        color="#f5f5f5"
+                                    />
+                                </span>
+                            </div>
+                        ))
+                    )}
                 </div>
 
-                {/* Next pointer section */}
-                <div className="bg-[#151515] px-5 py-2 text-center border-t border-[#222]">
-                    <div className="text-xs text-neutral-600">next</div>
-                    <div className="text-xs font-mono text-neutral-400 mt-0.5">
-                        {node?.next ?? 'null'}
+                {/* Pointer section — every reference field */}
+                {node.refFields.length > 0 && (
+                    <div className="bg-[#151515] flex border-t border-[#222] divide-x divide-[#222]">
+                        {node.refFields.map(name => (
+                            <div key={name} className="flex-1 px-3 py-2 text-center">
+                                <div className="text-xs text-neutral-600">{name}</div>
+                                <div className="text-xs font-mono text-neutral-400 mt-0.5">
+                                    {node.fields[name] ?? 'null'}
+                                </div>
+                            </div>
+                        ))}
                     </div>
-                </div>
+                )}
             </motion.div>
+
+            {node.garbageSince && (
+                <div
+                    className="text-[10px] text-neutral-600 font-mono"
+                    title={`Unreachable since line ${node.garbageSince.lineIndex + 1}`}
+                >
+                    garbage since step {node.garbageSince.step + 1}
+                </div>
+            )}
         </div>
     );
 }
 
+/**
+ * A cycle's back edge: an arc over the cards from the top of the last node to
+ * the top of the node it loops to (a small loop for `x.next = x`).
+ * Curves are cubic Béziers [start, control, control, end], so the arrows and
+ * the pointer badges travelling along them share one geometry.
+ */
+function backEdgeCurve(from, to) {
+    const sx = from.left + from.width * 0.65;
+    const tx = to.left + to.width * 0.35;
+    const lift = Math.min(from.top, to.top) - (from === to ? 22 : 34);
+    return [{ x: sx, y: from.top }, { x: sx, y: lift }, { x: tx, y: lift }, { x: tx, y: to.top }];
+}
+
+/**
+ * A link arrow between two measured cards: straight along a row, an S-curve
+ * into another row, or an arc over the cards when it points back.
+ */
+function linkCurve(from, to) {
+    const x1 = from.left + from.width;
+    const y1 = from.top + from.height / 2;
+    const x2 = to.left;
+    const y2 = to.top + to.height / 2;
+
+    if (x2 > x1) {
+        // Straight lines too, with the controls on the line
+        const bend = Math.abs(y1 - y2) < 1 ? (x2 - x1) / 3 : (x2 - x1) / 2;
+        return [{ x: x1, y: y1 }, { x: x1 + bend, y: y1 }, { x: x2 - bend, y: y2 }, { x: x2, y: y2 }];
+    }
+
+    const sx = from.left + from.width / 2;
+    const tx = to.left + to.width / 2;
+    const lift = Math.min(from.top, to.top) - 28;
+    return [{ x: sx, y: from.top }, { x: sx, y: lift }, { x: tx, y: lift }, { x: tx, y: to.top }];
+}
+
+function pathOf([p0, c1, c2, p3]) {
+    return `M ${p0.x} ${p0.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${p3.x} ${p3.y}`;
+}
+
+function pointOn([p0, c1, c2, p3], t) {
+    const u = 1 - t;
+    const at = key => u * u * u * p0[key] + 3 * u * u * t * c1[key] + 3 * u * t * t * c2[key] + t * t * t * p3[key];
+    return { x: at('x'), y: at('y') };
+}
+
+/**
+ * Addresses from `fromAddr` to `toAddr` following link fields, at most
+ * MAX_HOPS links; a pointer moved backwards (stepping back through the trace)
+ * gets the forward route reversed. Null when the nodes are not linked.
+ */
+function linkRoute(heap, fromAddr, toAddr) {
+    const follow = (start, goal) => {
+        const route = [start];
+        while (route.length <= MAX_HOPS) {
+            const node = heap[route[route.length - 1]];
+            const next = node && linkField(node) ? node.fields[linkField(node)] : null;
+            if (!next || route.includes(next)) return null;
+            route.push(next);
+            if (next === goal) return route;
+        }
+        return null;
+    };
+    return follow(fromAddr, toAddr) ?? follow(toAddr, fromAddr)?.reverse() ?? null;
+}
+
 export default function LinkedListView({ state }) {
-    const { heap, stack, lastModified } = state;
+    const { heap, lastModified, changedField } = state;
+    const frame = topFrame(state);
     const containerRef = useRef(null);
+    const layerRef = useRef(null);
     const [nodeRects, setNodeRects] = useState({});
 
-    const headAddr = findHeadAddress(state);
-    const chain = headAddr ? buildChain(heap, headAddr) : [];
+    const { components, cycles } = layoutHeap(state);
+    const cycleNodes = new Set(cycles.flatMap(c => c.nodes));
+    const backEdges = new Set(cycles.map(c => c.from));
+
+    const varNames = Object.keys(frame.vars);
+    const pointersAt = addr => getVarsAtAddress(frame.vars, addr).map(name => ({
+        name,
+        color: POINTER_COLORS[varNames.indexOf(name) % POINTER_COLORS.length],
+    }));
+
+    // What the last rendered step showed: the innermost frame's variables and
+    // where their badges sat. Names are matched across frames, so a recursive
+    // call's `node` travels on from the caller's `node`.
+    const shownRef = useRef({ vars: {}, badges: {}, origin: { x: 0, y: 0 } });
+
+    /**
+     * How pointer `name` arrives at its node: the points it passes, in the
+     * card layer's coordinates, or null when it did not move. Pointers moved
+     * together set off one after another in declaration order.
+     */
+    const planTravel = name => {
+        const shown = shownRef.current;
+        const moved = varNames.filter(other => {
+            const before = shown.vars[other];
+            return before && frame.vars[other] && before !== frame.vars[other]
+                && heap[before] && heap[frame.vars[other]] && shown.badges[other];
+        });
+        if (!moved.includes(name)) return null;
+
+        const route = linkRoute(heap, shown.vars[name], frame.vars[name]);
+        const hops = route ? route.slice(1).map((addr, i) => [route[i], addr]) : [];
+        const points = [shown.badges[name]];
+        for (const [a, b] of hops) {
+            // A hop against the arrow's direction runs the arrow's curve backwards
+            const forward = heap[a] && heap[a].fields[linkField(heap[a])] === b;
+            const [tail, head] = forward ? [a, b] : [b, a];
+            if (!nodeRects[tail] || !nodeRects[head]) return null;
+            const curve = backEdges.has(tail)
+                ? backEdgeCurve(nodeRects[tail], nodeRects[head])
+                : linkCurve(nodeRects[tail], nodeRects[head]);
+            for (let i = 0; i <= SAMPLES_PER_HOP; i++) {
+                const t = i / SAMPLES_PER_HOP;
+                const p = pointOn(curve, forward ? t : 1 - t);
+                points.push({ x: p.x - shown.origin.x, y: p.y - shown.origin.y });
+            }
+        }
+        return {
+            points,
+            duration: HOP_DURATION * Math.max(1, hops.length),
+            delay: moved.indexOf(name) * STAGGER,
+        };
+    };
 
     useEffect(() => {
         if (!containerRef.current) return;
         const cards = containerRef.current.querySelectorAll('[data-addr]');
+        const parentRect = containerRef.current.getBoundingClientRect();
+        const { scrollLeft, scrollTop } = containerRef.current;
         const rects = {};
         cards.forEach(card => {
             const addr = card.getAttribute('data-addr');
             const rect = card.getBoundingClientRect();
-            const parentRect = containerRef.current.getBoundingClientRect();
             rects[addr] = {
-                left: rect.left - parentRect.left,
-                top: rect.top - parentRect.top,
+                left: rect.left - parentRect.left + scrollLeft,
+                top: rect.top - parentRect.top + scrollTop,
                 width: rect.width,
                 height: rect.height,
             };
         });
-        setNodeRects(rects);
+        // Same layout as last render: keep the old object so React can bail out
+        setNodeRects(prev => (JSON.stringify(prev) === JSON.stringify(rects) ? prev : rects));
+
+        const layerRect = layerRef.current?.getBoundingClientRect();
+        const badges = {};
+        containerRef.current.querySelectorAll('[data-badge]').forEach(badge => {
+            badges[badge.dataset.badge] = {
+                x: badge.offsetLeft + badge.offsetWidth / 2,
+                y: badge.offsetTop + badge.offsetHeight / 2,
+            };
+        });
+        shownRef.current = {
+            vars: frame.vars,
+            badges,
+            origin: layerRect
+                ? { x: layerRect.left - parentRect.left + scrollLeft, y: layerRect.top - parentRect.top + scrollTop }
+                : { x: 0, y: 0 },
+        };
     });
 
-    const isEmpty = chain.length === 0;
+    const isEmpty = components.length === 0;
 
     return (
         <div className="flex flex-col h-full">
@@ -144,6 +364,26 @@ export default function LinkedListView({ state }) {
                                 >
                                     <polygon points="0 0, 7 2.5, 0 5" fill="#555" />
                                 </marker>
+                                <marker
+                                    id="arrowhead-back"
+                                    markerWidth="7"
+                                    markerHeight="5"
+                                    refX="7"
+                                    refY="2.5"
+                                    orient="auto"
+                                >
+                                    <polygon points="0 0, 7 2.5, 0 5" fill="#6b6b8a" />
+                                </marker>
+                                <marker
+                                    id="arrowhead-cycle"
+                                    markerWidth="7"
+                                    markerHeight="5"
+                                    refX="7"
+                                    refY="2.5"
+                                    orient="auto"
+                                >
+                                    <polygon points="0 0, 7 2.5, 0 5" fill="#c9a06c" />
+                                </marker>
                                 <marker
                                     id="arrowhead-active"
                                     markerWidth="7"
@@ -156,71 +396,159 @@ export default function LinkedListView({ state }) {
                                 </marker>
                             </defs>
 
-                            {chain.map((addr, i) => {
-                                if (i >= chain.length - 1) return null;
-                                const nextAddr = chain[i + 1];
-                                if (nextAddr?.startsWith('CYCLE:')) return null;
-
-                                const from = nodeRects[addr];
-                                const to = nodeRects[nextAddr];
+                            {/* Link field arrows — one per node, so merges are drawn once */}
+                            {Object.values(heap).map(node => {
+                                const field = linkField(node);
+                                const targetAddr = field ? node.fields[field] : null;
+                                const from = nodeRects[node.id];
+                                const to = nodeRects[targetAddr];
                                 if (!from || !to) return null;
 
-                                const x1 = from.left + from.width;
-                                const y1 = from.top + from.height / 2;
-                                const x2 = to.left;
-                                const y2 = to.top + to.height / 2;
-                                const isActiveLine = addr === lastModified || nextAddr === lastModified;
+                                if (backEdges.has(node.id)) {
+                                    const d = pathOf(backEdgeCurve(from, to));
+                                    const labelX = (from.left + from.width * 0.65 + to.left + to.width * 0.35) / 2;
+                                    const labelY = Math.min(from.top, to.top) - (from === to ? 22 : 30);
+                                    return (
+                                        <g key={`${node.id}->${targetAddr}`}>
+                                            <motion.path
+                                                d={d}
+                                                fill="none"
+                                                stroke="#c9a06c"
+                                                strokeWidth={1.5}
+                                                markerEnd="url(#arrowhead-cycle)"
+                                                initial={{ pathLength: 0, opacity: 0 }}
+                                                animate={{ pathLength: 1, opacity: node.garbageSince ? 0.4 : 1 }}
+                                                transition={{ duration: 0.6 }}
+                                            />
+                                            <text
+                                                x={labelX}
+                                                y={labelY}
+                                                textAnchor="middle"
+                                                fontSize="9"
+                                                fill="#c9a06c"
+                                                fontFamily="monospace"
+                                            >
+                                                cycle
+                                            </text>
+                                        </g>
+                                    );
+                                }
 
+                                const isActiveLine = node.id === lastModified || targetAddr === lastModified;
                                 return (
-                                    <motion.line
-                                        key={`${addr}->${nextAddr}`}
-                                        x1={x1} y1={y1} x2={x2} y2={y2}
+                                    <motion.path
+                                        key={`${node.id}->${targetAddr}`}
+                                        d={pathOf(linkCurve(from, to))}
+                                        fill="none"
                                         stroke={isActiveLine ? '#888' : '#444'}
                                         strokeWidth={1.5}
                                         markerEnd={isActiveLine ? 'url(#arrowhead-active)' : 'url(#arrowhead)'}
                                         initial={{ opacity: 0 }}
-                                        animate={{ opacity: 1 }}
+                                        animate={{ opacity: node.garbageSince ? 0.4 : 1 }}
                                         transition={{ duration: 0.4 }}
                                     />
                                 );
                             })}
+
+                            {/* `next = null` terminators */}
+                            {Object.values(heap).map(node => {
+                                const field = linkField(node);
+                                const from = nodeRects[node.id];
+                                if (!field || node.fields[field] || !from) return null;
+                                const x = from.left + from.width;
+                                const y = from.top + from.height / 2;
+                                return (
+                                    <motion.g
+                                        key={`${node.id}->null`}
+                                        initial={{ opacity: 0 }}
+                                        animate={{ opacity: node.garbageSince ? 0.4 : 1 }}
+                                        transition={{ duration: 0.4 }}
+                                    >
+                                        <line x1={x} y1={y} x2={x + 18} y2={y} stroke="#444" strokeWidth={1.5} markerEnd="url(#arrowhead)" />
+                                        <rect
+                                            x={x + 22} y={y - 10} width={36} height={20} rx={4}
+                                            fill="none" stroke="#333" strokeDasharray="3 2"
+                                        />
+                                        <text x={x + 40} y={y + 4} textAnchor="middle" fontSize="11" fill="#737373" fontFamily="monospace">
+                                            null
+                                        </text>
+                                    </motion.g>
+                                );
+                            })}
+
+                            {/* Other reference fields (e.g. prev) as offset dashed arrows */}
+                            {Object.values(heap).flatMap(node => {
+                                const from = nodeRects[node.id];
+                                return node.refFields
+                                    .filter(name => name !== linkField(node))
+                                    .map(name => {
+                                        const targetAddr = node.fields[name];
+                                        const to = nodeRects[targetAddr];
+                                        if (!from || !to || targetAddr === node.id) return null;
+                                        const backwards = to.left < from.left;
+                                        const y1 = from.top + from.height * 0.8;
+                                        const y2 = to.top + to.height * 0.8;
+                                        const x1 = backwards ? from.left : from.left + from.width;
+                                        const x2 = backwards ? to.left + to.width : to.left;
+                                        return (
+                                            <g key={`${node.id}.${name}`}>
+                                                <motion.line
+                                                    x1={x1} y1={y1} x2={x2} y2={y2}
+                                                    stroke="#4d4d66"
+                                                    strokeWidth={1.25}
+                                                    strokeDasharray="4 3"
+                                                    markerEnd="url(#arrowhead-back)"
+                                                    initial={{ opacity: 0 }}
+                                                    animate={{ opacity: 1 }}
+                                                    transition={{ duration: 0.4 }}
+                                                />
+                                                <text
+                                                    x={(x1 + x2) / 2}
+                                                    y={(y1 + y2) / 2 + 11}
+                                                    textAnchor="middle"
+                                                    fontSize="9"
+                                                    fill="#6b6b8a"
+                                                    fontFamily="monospace"
+                                                >
+                                                    {name}
+                                                </text>
+                                            </g>
+                                        );
+                                    });
+                            })}
                         </svg>
 
-                        {/* Node cards */}
-                        <div className="flex items-end gap-10 relative z-10 flex-wrap pt-2">
-                            <AnimatePresence>
-                                {chain.map((addr, i) => {
-                                    const isCycle = addr.startsWith('CYCLE:');
-                                    const realAddr = isCycle ? addr.replace('CYCLE:', '') : addr;
-                                    const varLabels = getVarsAtAddress(stack, realAddr);
-                                    return (
-                                        <div key={addr} data-addr={realAddr}>
-                                            <NodeCard
-                                                address={addr}
-                                                node={heap[realAddr]}
-                                                isActive={realAddr === lastModified}
-                                                index={i}
-                                                varLabels={varLabels}
-                                            />
-                                        </div>
-                                    );
-                                })}
-                            </AnimatePresence>
-
-                            {/* null terminator */}
-                            {chain.length > 0 && !chain[chain.length - 1]?.startsWith('CYCLE:') && (
-                                <motion.div
-                                    initial={{ opacity: 0, x: -10 }}
-                                    animate={{ opacity: 1, x: 0 }}
-                                    className="text-neutral-600 font-mono text-sm flex items-center gap-2 mb-1 self-center"
-                                    style={{ marginTop: 'auto' }}
+                        {/* Node cards — one grid per connected group of nodes. Badge offsets are measured from this layer */}
+                        <div ref={layerRef} className="flex flex-col gap-8 relative z-10 pt-2">
+                            {components.map(component => (
+                                <div
+                                    key={component.id}
+                                    className="grid gap-x-10 gap-y-6 items-start justify-start"
+                                    style={{ gridTemplateColumns: `repeat(${component.cols}, max-content)` }}
                                 >
-                                    <span className="text-neutral-500">→</span>
-                                    <span className="border border-[#333] border-dashed rounded px-3 py-1 text-neutral-500 text-xs">
-                                        null
-                                    </span>
-                                </motion.div>
-                            )}
+                                    <AnimatePresence>
+                                        {component.cells.map(({ addr, row, col }, i) => (
+                                            <div key={addr} style={{ gridRow: row + 1, gridColumn: col + 1 }}>
+                                                <NodeCard
+                                                    address={addr}
+                                                    node={heap[addr]}
+                                                    isActive={addr === lastModified}
+                                                    index={i}
+                                                    pointers={pointersAt(addr)}
+                                                    planTravel={planTravel}
+                                                    changedField={changedField?.address === addr ? changedField.field : null}
+                                                    inCycle={cycleNodes.has(addr)}
+                                                />
+                                            </div>
+                                        ))}
+                                    </AnimatePresence>
+
+                                    {/* Room for the `→ null` terminators drawn in the SVG */}
+                                    {component.nulls.map(({ row, col }) => (
+                                        <div key={`null-${row}`} style={{ gridRow: row + 1, gridColumn: col + 1, width: 24 }} />
+                                    ))}
+                                </div>
+                            ))}
                         </div>
                     </>
                 )}
@@ -1,12 +1,100 @@
 /**
  * StackPanel.jsx
- * Displays the Stack frame — variable names and their heap addresses.
+ * Displays the call stack — one frame per active method call, innermost on top.
+ * Each frame lists its primitive locals by value and its references by heap
+ * address; variables written by the current step are highlighted.
  */
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import FlashValue from './FlashValue';
+import { isReferenceType } from '../lib/classes';
 
-export default function StackPanel({ stack }) {
-    const entries = Object.entries(stack);
+function VarRow({ name, children, changed }) {
+    return (
+        <motion.tr
+            initial={{ opacity: 0, x: -12 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -12 }}
+            transition={{ type: 'spring', stiffness: 300, damping: 25 }}
+            className={`border-b border-[#1a1a1a] last:border-b-0 transition-colors ${changed ? 'bg-[#1f2a1f]' : 'hover:bg-[#1e1e1e]'}`}
+        >
+            <td className="px-3 py-1.5 font-mono text-neutral-300 text-xs w-1/2">
+                {name}
+            </td>
+            <td className="px-3 py-1.5 font-mono text-neutral-400 text-xs">
+                {children}
+            </td>
+        </motion.tr>
+    );
+}
+
+function PrimitiveValue({ value, type, changed }) {
+    if (value === undefined) {
+        return <span className="text-neutral-600 italic">unassigned</span>;
+    }
+    return <FlashValue value={value} type={type} changed={changed} />;
+}
+
+function RefValue({ addr }) {
+    if (addr === undefined) return <span className="text-neutral-600 italic">unassigned</span>;
+    if (!addr) return <span className="text-neutral-600">null</span>;
+    return <span className="bg-[#222] rounded px-2 py-0.5">{addr}</span>;
+}
+
+function FrameCard({ frame, depth, isActive, changed }) {
+    const entries = Object.entries(frame.vars);
+    const types = frame.types ?? {};
+    const primitives = entries.filter(([name]) => types[name] && !isReferenceType(types[name]));
+    const references = entries.filter(([name]) => !types[name] || isReferenceType(types[name]));
+
+    return (
+        <motion.div
+            layout
+            initial={{ opacity: 0, y: -12 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -12 }}
+            transition={{ type: 'spring', stiffness: 300, damping: 25 }}
+            className={`rounded-md border ${isActive ? 'border-neutral-500' : 'border-[#262626] opacity-60'}`}
+        >
+            <div className="flex items-center justify-between px-3 py-1.5 border-b border-[#222] bg-[#151515] rounded-t-md">
+                <span className="font-mono text-xs text-neutral-300">{frame.method}()</span>
+                <span className="text-[10px] text-neutral-600 font-mono">
+                    {isActive ? 'active' : `depth ${depth}`}
+                </span>
+            </div>
+
+            {entries.length === 0 ? (
+                <p className="px-3 py-2 text-neutral-600 text-xs">No variables</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <tbody>
+                        <AnimatePresence>
+                            {primitives.map(([name, value]) => (
+                                <VarRow key={name} name={name} changed={changed.has(name)}>
+                                    <PrimitiveValue value={value} type={types[name]} changed={changed.has(name)} />
+                                </VarRow>
+                            ))}
+                            {primitives.length > 0 && references.length > 0 && (
+                                <tr key="divider" aria-hidden>
+                                    <td colSpan={2} className="h-px bg-[#262626] p-0" />
+                                </tr>
+                            )}
+                            {references.map(([name, addr]) => (
+                                <VarRow key={name} name={name} changed={changed.has(name)}>
+                                    <RefValue addr={addr} />
+                                </VarRow>
+                            ))}
+                        </AnimatePresence>
+                    </tbody>
+                </table>
+            )}
+        </motion.div>
+    );
+}
+
+export default function StackPanel({ frames, changedVars }) {
+    // Innermost frame first, like a real call stack
+    const ordered = frames.map((frame, depth) => ({ frame, depth })).reverse();
 
     return (
         <div className="flex flex-col h-full">
@@ -14,48 +102,18 @@ export default function StackPanel({ stack }) {
                 Stack
             </h2>
 
-            <div className="flex-1 panel rounded-lg overflow-auto">
-                {entries.length === 0 ? (
-                    <div className="flex items-center justify-center h-full p-4">
-                        <p className="text-neutral-600 text-xs">Empty</p>
-                    </div>
-                ) : (
-                    <table className="w-full text-sm">
-                        <thead>
-                            <tr className="border-b border-[#222]">
-                                <th className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">Variable</th>
-                                <th className="text-left px-4 py-2 text-xs text-neutral-500 font-medium">Address</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <AnimatePresence>
-                                {entries.map(([varName, addr]) => (
-                                    <motion.tr
-                                        key={varName}
-                                        initial={{ opacity: 0, x: -12 }}
-                                        animate={{ opacity: 1, x: 0 }}
-                                        exit={{ opacity: 0, x: -12 }}
-                                        transition={{ type: 'spring', stiffness: 300, damping: 25 }}
-                                        className="border-b border-[#1a1a1a] hover:bg-[#1e1e1e] transition-colors"
-                                    >
-                                        <td className="px-4 py-2 font-mono text-neutral-300 text-xs">
-                                            {varName}
-                                        </td>
-                                        <td className="px-4 py-2 font-mono text-neutral-400 text-xs">
-                                            {addr ? (
-                                                <span className="bg-[#222] rounded px-2 py-0.5">
-                                                    {addr}
-                                                </span>
-                                            ) : (
-                                                <span className="text-neutral-600">null</span>
-                                            )}
-                                        </td>
-                                    </motion.tr>
-                                ))}
-                            </AnimatePresence>
-                        </tbody>
-                    </table>
-                )}
+            <div className="flex-1 panel rounded-lg overflow-auto p-2 flex flex-col gap-2">
+                <AnimatePresence initial={false}>
+                    {ordered.map(({ frame, depth }) => (
+                        <FrameCard
+                            key={frame.id}
+                            frame={frame}
+                            depth={depth}
+                            isActive={depth === frames.length - 1}
+                            changed={new Set(changedVars?.frameId === frame.id ? changedVars.names : [])}
+                        />
+                    ))}
+                </AnimatePresence>
             </div>
         </div>
     );
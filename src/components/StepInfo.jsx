@@ -1,15 +1,33 @@
 /**
  * StepInfo.jsx
  * Shows a human-readable description of the current execution step.
+ * Execution stops at the first error — a compile error it reaches, a runtime
+ * exception or an exhausted budget — and that error is the final step, shown
+ * with the last step that succeeded and the memory state just before it.
  */
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { STEP_TYPES } from '../lib/parser';
+
+// What the final step's note says, by why execution stopped
+const HALT_NOTES = {
+    exception: 'Execution stopped — memory is shown as it was just before the crash.',
+    budget: 'Out of budget — step back through the trace to see what keeps repeating.',
+    error: 'Execution stopped at the first error — nothing after it ran.',
+};
+
+function isSameError(a, b) {
+    return Boolean(a && b) && a.lineIndex === b.lineIndex && a.column === b.column && a.message === b.message;
+}
+
+export default function StepInfo({ step, previousStep, stepIndex, totalSteps, errors }) {
+    // Errors other than the one that stopped execution
+    const otherErrors = errors?.filter(e => !e.runtime && !isSameError(e, step?.error)) ?? [];
 
-export default function StepInfo({ step, stepIndex, totalSteps, errors }) {
     return (
         <div className="panel rounded-lg px-4 py-3 min-h-[48px] flex items-center">
             <AnimatePresence mode="wait">
-                {errors?.length > 0 ? (
+                {!step && otherErrors.length > 0 ? (
                     <motion.div
                         key="errors"
                         initial={{ opacity: 0, y: 4 }}
@@ -17,10 +35,42 @@ export default function StepInfo({ step, stepIndex, totalSteps, errors }) {
                         exit={{ opacity: 0, y: -4 }}
                         className="text-xs text-red-400/80"
                     >
-                        {errors.map((e, i) => (
+                        {otherErrors.map((e, i) => (
                             <div key={i}>Line {e.lineIndex + 1}: {e.message}</div>
                         ))}
                     </motion.div>
+                ) : step?.type === STEP_TYPES.EXCEPTION ? (
+                    <motion.div
+                        key={stepIndex}
+                        initial={{ opacity: 0, y: 4 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -4 }}
+                        transition={{ duration: 0.2 }}
+                        className="text-xs text-red-400"
+                    >
+                        <span className="text-neutral-500 font-mono mr-2">
+                            [{stepIndex + 1}/{totalSteps}]
+                        </span>
+                        Line {step.lineIndex + 1}: {step.description}
+                        {previousStep && (
+                            <div className="text-neutral-400 mt-1">
+                                <span className="text-neutral-500 font-mono mr-2">
+                                    [{stepIndex}/{totalSteps}]
+                                </span>
+                                Last completed: {previousStep.description}
+                            </div>
+                        )}
+                        <div className="text-neutral-500 mt-1">
+                            {HALT_NOTES[step.reason]}
+                        </div>
+                        {otherErrors.length > 0 && (
+                            <div className="text-red-400/70 mt-1">
+                                {otherErrors.map((e, i) => (
+                                    <div key={i}>Line {e.lineIndex + 1}: {e.message}</div>
+                                ))}
+                            </div>
+                        )}
+                    </motion.div>
                 ) : step ? (
                     <motion.div
                         key={stepIndex}
@@ -34,6 +84,16 @@ export default function StepInfo({ step, stepIndex, totalSteps, errors }) {
                             [{stepIndex + 1}/{totalSteps}]
                         </span>
                         {step.description}
+                        {step.iteration && (
+                            <span className="ml-2 text-neutral-500 font-mono">
+                                · iteration {step.iteration}
+                            </span>
+                        )}
+                        {step.garbage && (
+                            <span className="ml-2 text-neutral-500">
+                                · {step.garbage.join(', ')} now unreachable
+                            </span>
+                        )}
                     </motion.div>
                 ) : (
                     <motion.div
@@ -0,0 +1,90 @@
+/**
+ * StepList.jsx
+ * Collapsible list of every step in the trace. Clicking an entry jumps to
+ * that step; the current one stays scrolled into view.
+ * Traces run to 100k steps, so only the rows in view are rendered.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { stepCategory } from '../lib/interpreter';
+import { CATEGORY_COLORS } from './categoryColors';
+
+const ROW_HEIGHT = 20;
+const LIST_HEIGHT = 192;
+// Rows rendered beyond each edge of the view, so fast scrolling doesn't show gaps
+const OVERSCAN = 10;
+
+export default function StepList({ steps, currentStep, onSeek }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [scrollTop, setScrollTop] = useState(0);
+    const listRef = useRef(null);
+
+    // Scroll just enough to show the current step; onScroll then moves the window
+    useEffect(() => {
+        const list = listRef.current;
+        if (!list || currentStep < 0) return;
+        const top = currentStep * ROW_HEIGHT;
+        if (top < list.scrollTop) list.scrollTop = top;
+        else if (top + ROW_HEIGHT > list.scrollTop + list.clientHeight) list.scrollTop = top + ROW_HEIGHT - list.clientHeight;
+    }, [currentStep, isOpen]);
+
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(steps.length, Math.ceil((scrollTop + LIST_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+    return (
+        <div className="panel rounded-lg flex flex-col min-h-0">
+            <button
+                onClick={() => {
+                    setIsOpen(open => !open);
+                    // A freshly opened list starts at the top
+                    setScrollTop(0);
+                }}
+                className="flex items-center justify-between px-4 py-2 text-left"
+            >
+                <h2 className="text-xs font-medium text-neutral-500 uppercase tracking-wider">
+                    {isOpen ? '▾' : '▸'} Steps
+                </h2>
+                <span className="text-xs text-neutral-600 font-mono">{steps.length}</span>
+            </button>
+
+            {isOpen && (
+                <ol
+                    ref={listRef}
+                    onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+                    className="overflow-y-auto border-t border-[#222] text-xs"
+                    style={{
+                        maxHeight: LIST_HEIGHT,
+                        paddingTop: first * ROW_HEIGHT,
+                        paddingBottom: (steps.length - last) * ROW_HEIGHT,
+                    }}
+                >
+                    {steps.slice(first, last).map((step, offset) => {
+                        const i = first + offset;
+                        const category = stepCategory(step);
+                        const isActive = i === currentStep;
+                        return (
+                            <li
+                                key={i}
+                                onClick={() => onSeek(i)}
+                                style={{ height: ROW_HEIGHT }}
+                                className={`flex items-center gap-2 px-4 cursor-pointer transition-colors duration-100 ${isActive
+                                    ? 'bg-[#222] text-neutral-200'
+                                    : i < currentStep ? 'text-neutral-400 hover:bg-[#1a1a1a]' : 'text-neutral-600 hover:bg-[#1a1a1a]'
+                                    }`}
+                            >
+                                <span className="w-12 flex-shrink-0 text-right font-mono text-neutral-600">{i + 1}</span>
+                                <span
+                                    className="w-1.5 h-1.5 flex-shrink-0 rounded-full"
+                                    style={{ background: category ? CATEGORY_COLORS[category] : 'transparent' }}
+                                />
+                                <span className="w-10 flex-shrink-0 font-mono text-neutral-600">L{step.lineIndex + 1}</span>
+                                <span className={`truncate ${category === 'error' ? 'text-red-400' : ''}`}>
+                                    {step.description}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </div>
+    );
+}
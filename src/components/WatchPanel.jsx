@@ -0,0 +1,90 @@
+/**
+ * WatchPanel.jsx
+ * User-entered watch expressions (`head.next.data`, `cur == tail`, ...),
+ * evaluated against the memory state of the current step. A value that
+ * differs from the previous step's is highlighted.
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { evaluateWatch } from '../lib/watches';
+import FlashValue from './FlashValue';
+
+function WatchValue({ result, state, changed }) {
+    if (result.error) {
+        return <span className="text-red-400/70 italic">{result.error}</span>;
+    }
+    const node = typeof result.value === 'string' ? state.heap[result.value] : null;
+    return (
+        <FlashValue value={result.text} changed={changed}>
+            {node ? (
+                <>
+                    <span className="bg-[#222] rounded px-2 py-0.5">{result.text}</span>
+                    <span className="ml-2 text-neutral-600">{node.className}</span>
+                </>
+            ) : result.text}
+        </FlashValue>
+    );
+}
+
+export default function WatchPanel({ watches, state, previousState, onAdd, onRemove }) {
+    const [draft, setDraft] = useState('');
+
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Enter' || !draft.trim()) return;
+        onAdd(draft.trim());
+        setDraft('');
+    };
+
+    return (
+        <div className="panel rounded-lg flex flex-col min-h-0">
+            <div className="px-4 pt-2 pb-1">
+                <h2 className="text-xs font-medium text-neutral-500 uppercase tracking-wider">Watch</h2>
+            </div>
+
+            <table className="w-full text-xs font-mono">
+                <tbody>
+                    <AnimatePresence initial={false}>
+                        {watches.map(watch => {
+                            const result = evaluateWatch(watch, state);
+                            const before = previousState ? evaluateWatch(watch, previousState) : null;
+                            const changed = before !== null && !result.error && before.text !== result.text;
+                            return (
+                                <motion.tr
+                                    key={watch.id}
+                                    initial={{ opacity: 0, x: -12 }}
+                                    animate={{ opacity: 1, x: 0 }}
+                                    exit={{ opacity: 0, x: -12 }}
+                                    transition={{ type: 'spring', stiffness: 300, damping: 25 }}
+                                    className={`group border-b border-[#1a1a1a] transition-colors ${changed ? 'bg-[#1f2a1f]' : 'hover:bg-[#1e1e1e]'}`}
+                                >
+                                    <td className="pl-4 pr-3 py-1 text-neutral-300 w-2/5 truncate max-w-0">{watch.text}</td>
+                                    <td className="px-3 py-1 text-neutral-400">
+                                        <WatchValue result={result} state={state} changed={changed} />
+                                    </td>
+                                    <td className="pr-3 py-1 w-6 text-right">
+                                        <button
+                                            onClick={() => onRemove(watch.id)}
+                                            className="text-neutral-600 hover:text-neutral-300 opacity-0 group-hover:opacity-100 transition-opacity"
+                                            title="Remove watch"
+                                        >
+                                            ×
+                                        </button>
+                                    </td>
+                                </motion.tr>
+                            );
+                        })}
+                    </AnimatePresence>
+                </tbody>
+            </table>
+
+            <input
+                value={draft}
+                onChange={e => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Add expression, e.g. head.next.data"
+                spellCheck={false}
+                className="mx-4 my-2 bg-[#111] border border-[#333] rounded px-2 py-1 font-mono text-xs text-neutral-300 outline-none focus:border-[#555]"
+            />
+        </div>
+    );
+}
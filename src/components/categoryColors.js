@@ -0,0 +1,11 @@
+/**
+ * categoryColors.js
+ * Colours for step categories (see stepCategory in interpreter.js), shared
+ * by the timeline markers and the step list.
+ */
+
+export const CATEGORY_COLORS = {
+    allocation: '#7dab8f',
+    rewire: '#8aabcc',
+    error: '#f87171',
+};
@@ -0,0 +1,51 @@
+/**
+ * breakpoints.js
+ * Decides where auto-play pauses.
+ *
+ * Breakpoints are set per source line: { [lineIndex]: condition }, where an
+ * empty condition always stops. Playback stops once a step on a breakpoint
+ * line has been applied, so a condition like `cur == null` is checked
+ * against the memory state shown at that step. A condition naming a variable
+ * the current frame does not have never holds, so `cur == null` does not
+ * stop inside a method that has no `cur`.
+ */
+
+import { parseStandaloneExpression } from './parser';
+import { evaluate } from './evaluator';
+import { subexpressions } from './watches';
+
+/**
+ * Parse every breakpoint condition once, up front.
+ * @param {object} breakpoints — { [lineIndex]: condition }
+ * @returns {Map<number, { condition: string, expression: object|null, error: string|null }>}
+ */
+export function compileBreakpoints(breakpoints) {
+    return new Map(Object.entries(breakpoints).map(([line, condition]) => {
+        const text = condition.trim();
+        if (!text) return [Number(line), { condition, expression: null, error: null }];
+        const { expression, errors } = parseStandaloneExpression(text);
+        return [Number(line), { condition, expression, error: errors[0]?.message ?? null }];
+    }));
+}
+
+/**
+ * Should playback stop after `step` has been applied?
+ * A condition that fails to parse or evaluate stops too, so a typo never
+ * silently skips a breakpoint.
+ * @param {Map} compiled — from compileBreakpoints
+ * @param {object} step
+ * @param {object} state — memory state after the step
+ * @returns {boolean}
+ */
+export function isBreakpointHit(compiled, step, state) {
+    const breakpoint = step ? compiled.get(step.lineIndex) : null;
+    if (!breakpoint) return false;
+    if (breakpoint.error || !breakpoint.expression) return true;
+    const { vars } = state.frames[state.frames.length - 1];
+    if (subexpressions(breakpoint.expression).some(node => node.type === 'Name' && !(node.name in vars))) return false;
+    try {
+        return Boolean(evaluate(breakpoint.expression, state));
+    } catch {
+        return true;
+    }
+}
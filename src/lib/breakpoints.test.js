@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { compileBreakpoints, isBreakpointHit } from './breakpoints';
+import { execute } from './interpreter';
+import { createTimeline } from './memoryModel';
+
+const CODE = `class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    static int twice(int n) {
+        int result = n * 2;
+        return result;
+    }
+    public static void main(String[] args) {
+        Node cur = new Node(1);
+        cur = null;
+        int x = twice(4);
+        x = twice(x);
+    }
+}`;
+
+/** Line indices of the steps where playback would stop. */
+function hits(breakpoints) {
+    const { steps } = execute(CODE);
+    const timeline = createTimeline(steps);
+    const compiled = compileBreakpoints(breakpoints);
+    return steps
+        .filter((step, i) => isBreakpointHit(compiled, step, timeline.stateAt(i)))
+        .map(step => step.lineIndex);
+}
+
+describe('isBreakpointHit', () => {
+    it('always stops on a breakpoint without a condition', () => {
+        expect(hits({ 7: '' })).toEqual([7, 7]);
+    });
+
+    it('stops only where the condition holds', () => {
+        expect(hits({ 7: 'n > 4' })).toEqual([7]);
+        expect(hits({ 12: 'cur == null' })).toEqual([12]);
+    });
+
+    it('does not stop in a frame without the variables the condition names', () => {
+        // `cur` belongs to main, so the breakpoint inside twice() never fires
+        expect(hits({ 7: 'cur == null' })).toEqual([]);
+    });
+
+    it('stops on a condition that does not parse, so a typo is noticed', () => {
+        expect(compileBreakpoints({ 7: 'n >' }).get(7).error).not.toBeNull();
+        expect(hits({ 7: 'n >' })).toEqual([7, 7]);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * classes.js
+ * Object layouts for the classes declared in the user's code: which fields a
+ * heap object has, which of them are references, and how each constructor
+ * initializes them.
+ *
+ * Layout shape:
+ * {
+ *   name:   'Node',
+ *   fields: [{ name: 'data', type: 'int', isRef: false, init: null }, { name: 'next', type: 'Node', isRef: true, init: null }],
+ *   constructors: [{ params: ['data'], paramTypes: ['int'], assigns: { data: <expr> } }],
+ * }
+ *
+ * Constructor bodies are not executed step by step; instead every
+ * `this.field = expr;` is recorded so `new Node(args)` can be turned into one
+ * initializer expression per field with the parameters replaced by the
+ * caller's argument expressions.
+ */
+
+import { parse, PRIMITIVE_TYPES } from './parser';
+
+// Layouts used when the code does not declare any class with fields.
+// LeetCode's ListNode is built in; any other name gets the classic Node shape.
+const LIST_NODE_SOURCE = `
+class ListNode {
+    int val;
+    ListNode next;
+    ListNode() {}
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}`;
+
+const nodeSource = (name, dataType) => `
+class ${name} {
+    ${dataType} data;
+    ${name} next;
+    ${name}(${dataType} data) { this.data = data; }
+}`;
+
+// Payload type of the default Node for each kind of literal passed to `new`
+const LITERAL_TYPES = new Set(['int', 'long', 'float', 'double', 'boolean', 'char', 'String']);
+
+/** Reference types point into the heap; String is shown by value. */
+export function isReferenceType(type) {
+    return !PRIMITIVE_TYPES.has(type) && type !== 'String';
+}
+
+/** Literal node holding Java's default value for a field of `type`. */
+function defaultValue(type) {
+    switch (type) {
+        case 'int': case 'long': case 'short': case 'byte':
+            return { type: 'Literal', valueType: 'int', value: 0, raw: '0' };
+        case 'double': case 'float':
+            return { type: 'Literal', valueType: 'double', value: 0, raw: '0.0' };
+        case 'boolean':
+            return { type: 'Literal', valueType: 'boolean', value: false, raw: 'false' };
+        case 'char':
+            return { type: 'Literal', valueType: 'char', value: '\0', raw: "'\\0'" };
+        default:
+            return { type: 'Literal', valueType: 'null', value: null, raw: 'null' };
+    }
+}
+
+/** Deep-copy an expression, replacing `Name` nodes found in `bindings`. */
+export function substitute(expr, bindings) {
+    if (Array.isArray(expr)) return expr.map(e => substitute(e, bindings));
+    if (!expr || typeof expr !== 'object') return expr;
+    if (expr.type === 'Name' && Object.hasOwn(bindings, expr.name)) return bindings[expr.name];
+
+    const copy = {};
+    for (const [key, value] of Object.entries(expr)) {
+        copy[key] = key === 'loc' ? value : substitute(value, bindings);
+    }
+    return copy;
+}
+
+function constructorAssigns(decl, ctor, fieldNames, seen = new Set()) {
+    const params = new Set(ctor.params.map(p => p.name));
+    let assigns = {};
+
+    for (const stmt of ctor.body.body) {
+        if (stmt.type !== 'ExprStmt') continue;
+        const expr = stmt.expression;
+
+        // this(v, null);  — start from the delegated constructor's assignments
+        if (expr.type === 'Call' && expr.name === 'this' && !expr.object) {
+            const other = decl.constructors.find(c => c !== ctor && c.params.length === expr.args.length);
+            if (!other || seen.has(other)) continue;
+            const delegated = constructorAssigns(decl, other, fieldNames, new Set([...seen, ctor]));
+            const bindings = Object.fromEntries(delegated.params.map((name, i) => [name, expr.args[i]]));
+            assigns = Object.fromEntries(
+                Object.entries(delegated.assigns).map(([field, value]) => [field, substitute(value, bindings)])
+            );
+            continue;
+        }
+
+        if (expr.type !== 'Assign' || expr.op !== '=') continue;
+        const { target, value } = expr;
+
+        // this.next = n;  or  next = n;  (when not shadowed by a parameter)
+        const field =
+            target.type === 'FieldAccess' && target.object.type === 'This' ? target.field
+                : target.type === 'Name' && !params.has(target.name) ? target.name
+                    : null;
+        if (field && fieldNames.has(field)) assigns[field] = value;
+    }
+
+    return { params: ctor.params.map(p => p.name), paramTypes: ctor.params.map(p => p.varType), assigns };
+}
+
+function buildLayout(decl) {
+    const fields = decl.fields
+        .filter(f => !f.modifiers.includes('static'))
+        .map(f => ({ name: f.name, type: f.varType, isRef: isReferenceType(f.varType), init: f.init }));
+    const fieldNames = new Set(fields.map(f => f.name));
+    return {
+        name: decl.name,
+        fields,
+        constructors: decl.constructors.map(c => constructorAssigns(decl, c, fieldNames)),
+    };
+}
+
+function defaultLayout(program, name) {
+    const source = name === 'ListNode' ? LIST_NODE_SOURCE : nodeSource(name, literalPayloadType(program, name));
+    return buildLayout(parse(source).program.classes[0]);
+}
+
+/** Every `new X(...)` anywhere in the AST, in source order. */
+function* instantiations(node) {
+    if (Array.isArray(node)) {
+        for (const child of node) yield* instantiations(child);
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'New') yield node;
+    for (const [key, value] of Object.entries(node)) {
+        if (key !== 'loc') yield* instantiations(value);
+    }
+}
+
+/**
+ * Type of the first literal passed to `new name(...)`, so `new Node("a")`
+ * gets a String payload rather than an int. Defaults to int.
+ */
+function literalPayloadType(program, name) {
+    for (const node of instantiations(program)) {
+        if (node.className !== name || node.args.length === 0) continue;
+        let arg = node.args[0];
+        if (arg.type === 'Unary' && arg.op === '-') arg = arg.operand;
+        if (arg.type === 'Literal' && LITERAL_TYPES.has(arg.valueType)) return arg.valueType;
+    }
+    return 'int';
+}
+
+/**
+ * Build the layout table for every class that declares instance fields.
+ * When there is none, the class the code instantiates gets a default layout:
+ * LeetCode's `ListNode { int val; ListNode next; }`, otherwise
+ * `Node { int data; Node next; }` under whatever name is used, with `data`
+ * typed after the literals the code constructs nodes from.
+ * @param {object} program — Program AST
+ * @returns {Map<string, object>} class name → layout
+ */
+export function buildClassTable(program) {
+    const table = new Map();
+    for (const decl of program.classes) {
+        const layout = buildLayout(decl);
+        if (layout.fields.length > 0) table.set(decl.name, layout);
+    }
+    if (table.size === 0) {
+        const layout = defaultLayout(program, instantiations(program).next().value?.className ?? 'Node');
+        table.set(layout.name, layout);
+    }
+    return table;
+}
+
+/**
+ * Initializer expression for every field of a new object.
+ * Returns null when no constructor accepts `args.length` arguments.
+ * @param {object} layout
+ * @param {Array} args — argument expressions, evaluated in the caller's frame
+ * @returns {object|null} { [fieldName]: expr }
+ */
+export function fieldInitializers(layout, args) {
+    const ctor = layout.constructors.find(c => c.params.length === args.length);
+    // Java only provides the implicit no-arg constructor when none is declared
+    if (!ctor && !(args.length === 0 && layout.constructors.length === 0)) return null;
+
+    const bindings = ctor ? Object.fromEntries(ctor.params.map((name, i) => [name, args[i]])) : {};
+    return Object.fromEntries(layout.fields.map(field => {
+        const expr = ctor?.assigns[field.name] ?? field.init ?? defaultValue(field.type);
+        return [field.name, substitute(expr, bindings)];
+    }));
+}
@@ -0,0 +1,97 @@
+/**
+ * completions.js
+ * Autocomplete for the editor, drawn from the parsed program: declared
+ * variables and parameters, methods, class names, and after a dot the
+ * fields of the class the chain before it resolves to (`cur.next.` → Node).
+ */
+
+import { parse } from './parser';
+import { buildClassTable } from './classes';
+
+const IDENTIFIER_END = /[A-Za-z_$][\w$]*$/;
+// `a.b.c.` directly before the word being typed
+const DOT_CHAIN = /([A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*)\s*\.\s*$/;
+const KIND_ORDER = { variable: 0, field: 1, method: 2, class: 3 };
+
+/** Every AST node in `node`, depth first. */
+function* nodesOf(node) {
+    if (typeof node.type === 'string') yield node;
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'loc' || !value || typeof value !== 'object') continue;
+        for (const child of Array.isArray(value) ? value.flat(Infinity) : [value]) {
+            if (child && typeof child === 'object') yield* nodesOf(child);
+        }
+    }
+}
+
+/**
+ * Names the program declares, for completion.
+ * @param {string} code
+ * @returns {{ variables: Map<string,string>, classes: Map<string,Array>, methods: Set<string> }}
+ *   variables: name → declared type; classes: name → [{ name, type }] fields
+ */
+export function collectSymbols(code) {
+    const { program } = parse(code);
+    const variables = new Map();
+    const methods = new Set();
+    for (const node of nodesOf(program)) {
+        if (node.type === 'VarDecl') node.declarators.forEach(d => variables.set(d.name, node.varType));
+        else if (node.type === 'Param') variables.set(node.name, node.varType);
+        else if (node.type === 'MethodDecl' && node.name !== 'main') methods.add(node.name);
+    }
+
+    const classes = new Map(program.classes.map(decl => [decl.name, []]));
+    for (const [name, layout] of buildClassTable(program)) {
+        classes.set(name, layout.fields.map(f => ({ name: f.name, type: f.type })));
+    }
+    return { variables, classes, methods };
+}
+
+/** Type of a dotted chain such as ['cur', 'next'], or null when unknown. */
+function resolveChain(chain, symbols) {
+    let type = symbols.variables.get(chain[0]) ?? null;
+    for (const name of chain.slice(1)) {
+        type = symbols.classes.get(type)?.find(f => f.name === name)?.type ?? null;
+    }
+    return type;
+}
+
+/**
+ * Suggestions for the word ending at `cursor`.
+ * @param {string} value — editor text
+ * @param {number} cursor
+ * @param {object} symbols — from collectSymbols
+ * @returns {{ from: number, to: number, items: Array<{ label: string, detail: string, kind: string }> }|null}
+ *   null when there is nothing to suggest; `from`..`to` is the text a choice replaces
+ */
+export function completionsAt(value, cursor, symbols) {
+    const before = value.slice(0, cursor);
+    const line = before.slice(before.lastIndexOf('\n') + 1);
+    // No suggestions inside comments or string literals
+    if (line.includes('//') || (line.match(/(?<!\\)"/g)?.length ?? 0) % 2 === 1) return null;
+
+    const prefix = before.match(IDENTIFIER_END)?.[0] ?? '';
+    const from = cursor - prefix.length;
+    const chain = before.slice(0, from).match(DOT_CHAIN);
+
+    let items;
+    if (chain) {
+        const type = resolveChain(chain[1].split('.').map(part => part.trim()), symbols);
+        // `System.` or a misspelled name: guessing fields would only mislead
+        const fields = symbols.classes.get(type);
+        if (!fields) return null;
+        items = fields.map(f => ({ label: f.name, detail: f.type, kind: 'field' }));
+    } else {
+        if (!prefix) return null;
+        items = [
+            ...[...symbols.variables].map(([name, type]) => ({ label: name, detail: type, kind: 'variable' })),
+            ...[...symbols.methods].map(name => ({ label: name, detail: 'method', kind: 'method' })),
+            ...[...symbols.classes.keys()].map(name => ({ label: name, detail: 'class', kind: 'class' })),
+        ];
+    }
+
+    items = items
+        .filter(item => item.label.startsWith(prefix) && item.label !== prefix)
+        .sort((a, b) => KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.label.localeCompare(b.label));
+    return items.length > 0 ? { from, to: cursor, items } : null;
+}
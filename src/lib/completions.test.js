@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { collectSymbols, completionsAt } from './completions';
+
+const CODE = `class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    static int size(Node head) { return 0; }
+    public static void main(String[] args) {
+        Node head = new Node(1);
+        int count = 0;
+    }
+}
+`;
+
+const symbols = collectSymbols(CODE);
+const labelsAfter = typed => {
+    const value = CODE + typed;
+    return completionsAt(value, value.length, symbols)?.items.map(item => item.label) ?? null;
+};
+
+describe('completionsAt', () => {
+    it('suggests names starting with the typed prefix, variables first', () => {
+        expect(labelsAfter('co')).toEqual(['count']);
+        expect(labelsAfter('s')).toEqual(['size']);
+        expect(labelsAfter('N')).toEqual(['Node']);
+    });
+
+    it('suggests the fields of the type a dot chain resolves to', () => {
+        expect(labelsAfter('head.')).toEqual(['data', 'next']);
+        expect(labelsAfter('head.next.n')).toEqual(['next']);
+    });
+
+    it('suggests nothing after a receiver of unknown type', () => {
+        expect(labelsAfter('System.')).toBeNull();
+        expect(labelsAfter('haed.')).toBeNull();
+        expect(labelsAfter('head.data.')).toBeNull();
+    });
+
+    it('suggests nothing inside comments and strings', () => {
+        expect(labelsAfter('// co')).toBeNull();
+        expect(labelsAfter('"co')).toBeNull();
+    });
+
+    it('replaces only the word being typed', () => {
+        const value = CODE + 'head.ne';
+        expect(completionsAt(value, value.length, symbols)).toMatchObject({ from: value.length - 2, to: value.length });
+    });
+});
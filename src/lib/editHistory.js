@@ -0,0 +1,61 @@
+/**
+ * editHistory.js
+ * Undo/redo history for the code editor. The editor rewrites its value for
+ * auto-indent, bracket pairs and comment toggling, which the browser's own
+ * undo stack cannot follow, so every edit is recorded here instead.
+ *
+ * A snapshot is { value, start, end } — the text and the selection.
+ * Consecutive keystrokes of plain typing merge into a single undo step.
+ */
+
+const HISTORY_LIMIT = 200;
+const MERGE_WINDOW_MS = 1000;
+
+/** An empty history. */
+export function createHistory() {
+    return { past: [], future: [], lastKind: null, lastTime: 0 };
+}
+
+/**
+ * Record an edit. `before` is the snapshot the edit replaced.
+ * @param {object} history
+ * @param {object} before — { value, start, end }
+ * @param {string} kind — 'type' merges with the previous 'type' edit; anything else stands alone
+ * @param {number} [now]
+ * @returns {object} new history
+ */
+export function recordEdit(history, before, kind, now = Date.now()) {
+    const merges = kind === 'type' && history.lastKind === 'type' && now - history.lastTime < MERGE_WINDOW_MS;
+    const past = merges ? history.past : [...history.past, before].slice(-HISTORY_LIMIT);
+    return { past, future: [], lastKind: kind, lastTime: now };
+}
+
+/**
+ * Step back one edit.
+ * @param {object} history
+ * @param {object} current — snapshot of the editor now, restored by redo
+ * @returns {{ history: object, snapshot: object }|null} null when there is nothing to undo
+ */
+export function undo(history, current) {
+    if (history.past.length === 0) return null;
+    const snapshot = history.past[history.past.length - 1];
+    return {
+        history: { past: history.past.slice(0, -1), future: [...history.future, current], lastKind: null, lastTime: 0 },
+        snapshot,
+    };
+}
+
+/**
+ * Re-apply the last undone edit.
+ * @param {object} history
+ * @param {object} current — snapshot of the editor now, restored by undo
+ * @returns {{ history: object, snapshot: object }|null} null when there is nothing to redo
+ */
+export function redo(history, current) {
+    if (history.future.length === 0) return null;
+    const snapshot = history.future[history.future.length - 1];
+    return {
+        history: { past: [...history.past, current], future: history.future.slice(0, -1), lastKind: null, lastTime: 0 },
+        snapshot,
+    };
+}
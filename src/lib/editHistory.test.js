@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, recordEdit, undo, redo } from './editHistory';
+
+const snap = value => ({ value, start: value.length, end: value.length });
+
+describe('edit history', () => {
+    it('undoes and redoes an edit', () => {
+        const history = recordEdit(createHistory(), snap(''), 'paste', 0);
+        const undone = undo(history, snap('pasted'));
+        expect(undone.snapshot).toEqual(snap(''));
+        const redone = redo(undone.history, snap(''));
+        expect(redone.snapshot).toEqual(snap('pasted'));
+        expect(undo(redone.history, snap('pasted')).snapshot).toEqual(snap(''));
+    });
+
+    it('merges quick typing into one step', () => {
+        let history = createHistory();
+        history = recordEdit(history, snap(''), 'type', 0);
+        history = recordEdit(history, snap('a'), 'type', 500);
+        history = recordEdit(history, snap('ab'), 'type', 900);
+        expect(history.past).toEqual([snap('')]);
+    });
+
+    it('starts a new step after a pause or another kind of edit', () => {
+        let history = createHistory();
+        history = recordEdit(history, snap(''), 'type', 0);
+        history = recordEdit(history, snap('a'), 'type', 5000);
+        history = recordEdit(history, snap('ab'), 'indent', 5100);
+        history = recordEdit(history, snap('ab    '), 'type', 5200);
+        expect(history.past.map(s => s.value)).toEqual(['', 'a', 'ab', 'ab    ']);
+    });
+
+    it('drops the redo stack on a new edit', () => {
+        const history = recordEdit(createHistory(), snap(''), 'paste', 0);
+        const { history: undone } = undo(history, snap('x'));
+        expect(recordEdit(undone, snap(''), 'paste', 10).future).toEqual([]);
+    });
+
+    it('has nothing to undo or redo when empty', () => {
+        expect(undo(createHistory(), snap(''))).toBeNull();
+        expect(redo(createHistory(), snap(''))).toBeNull();
+    });
+});
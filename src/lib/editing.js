@@ -0,0 +1,209 @@
+/**
+ * editing.js
+ * Text transformations behind the editor's keyboard shortcuts: auto-indent,
+ * bracket and quote pairs, dedent on `}`, comment toggling and bracket
+ * matching.
+ *
+ * Each edit takes and returns a snapshot { value, start, end } — the text and
+ * the selection — or returns null to leave the keystroke to the browser.
+ */
+
+const INDENT = '    ';
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+const QUOTES = new Set(['"', "'"]);
+// A pair is only auto-closed when nothing but these follows the caret
+const CLOSES_BEFORE = /^$|^[\s)\]};,]/;
+
+function replaceRange(s, from, to, text, caret = from + text.length) {
+    return { value: s.value.slice(0, from) + text + s.value.slice(to), start: caret, end: caret };
+}
+
+function lineStartOf(value, index) {
+    return value.lastIndexOf('\n', index - 1) + 1;
+}
+
+function indentOf(line) {
+    return line.match(/^[ \t]*/)[0];
+}
+
+/** Tab inserts four spaces. */
+export function insertIndent(s) {
+    return replaceRange(s, s.start, s.end, INDENT);
+}
+
+/**
+ * Enter keeps the current indentation and adds a level after `{`. Between
+ * `{` and `}` the closing brace moves to its own line.
+ */
+export function insertNewline(s) {
+    const { value, start, end } = s;
+    const line = value.slice(lineStartOf(value, start), start);
+    const indent = indentOf(line);
+    if (!line.trimEnd().endsWith('{')) return replaceRange(s, start, end, '\n' + indent);
+
+    const inner = '\n' + indent + INDENT;
+    if (/^[ \t]*}/.test(value.slice(end))) {
+        return replaceRange(s, start, end, inner + '\n' + indent, start + inner.length);
+    }
+    return replaceRange(s, start, end, inner);
+}
+
+/**
+ * A `}` typed on a blank line lines up with the line of its matching `{`.
+ */
+function insertClosingBrace(s) {
+    const { value, start } = s;
+    const lineStart = lineStartOf(value, start);
+    if (value.slice(lineStart, start).trim() !== '') return null;
+    const probe = value.slice(0, lineStart) + '}' + value.slice(start);
+    const open = matchingBracket(probe, lineStart);
+    if (open === -1) return null;
+    const indent = indentOf(value.slice(lineStartOf(value, open)));
+    return replaceRange(s, lineStart, start, indent + '}');
+}
+
+/**
+ * A printable character. Brackets and quotes close themselves, wrap a
+ * selection, and are stepped over when typed in front of their own closer.
+ * @param {object} s — { value, start, end }
+ * @param {string} ch
+ * @returns {object|null}
+ */
+export function insertCharacter(s, ch) {
+    const { value, start, end } = s;
+    const isPairable = ch in OPENERS || QUOTES.has(ch);
+
+    if (start !== end) {
+        if (!isPairable) return null;
+        const close = OPENERS[ch] ?? ch;
+        return {
+            value: value.slice(0, start) + ch + value.slice(start, end) + close + value.slice(end),
+            start: start + 1,
+            end: end + 1,
+        };
+    }
+
+    const next = value.slice(end);
+    if ((ch in CLOSERS || QUOTES.has(ch)) && next[0] === ch) return { value, start: start + 1, end: start + 1 };
+    if (ch in OPENERS && CLOSES_BEFORE.test(next)) return replaceRange(s, start, end, ch + OPENERS[ch], start + 1);
+    // Not after a word, so apostrophes in comments stay single
+    if (QUOTES.has(ch) && !/[\w$\\]/.test(value[start - 1] ?? '') && CLOSES_BEFORE.test(next)) {
+        return replaceRange(s, start, end, ch + ch, start + 1);
+    }
+    if (ch === '}') return insertClosingBrace(s);
+    return null;
+}
+
+/** Backspace between an empty pair such as `()` deletes both halves. */
+export function deleteBackward(s) {
+    const { value, start, end } = s;
+    if (start !== end || start === 0) return null;
+    const prev = value[start - 1];
+    const next = value[start];
+    const isPair = OPENERS[prev] === next || (QUOTES.has(prev) && prev === next);
+    return isPair ? replaceRange(s, start - 1, start + 1, '') : null;
+}
+
+/**
+ * Ctrl+/ comments out every line the selection touches, or uncomments them
+ * when all are already comments. The selection follows the text.
+ */
+export function toggleComment(s) {
+    const { value } = s;
+    const first = lineStartOf(value, s.start);
+    // A selection ending at the start of a line doesn't include that line
+    const lastEnd = s.end > s.start && value[s.end - 1] === '\n' ? s.end - 1 : s.end;
+    const lineEnd = value.indexOf('\n', lastEnd);
+    const last = lineEnd === -1 ? value.length : lineEnd;
+    const lines = value.slice(first, last).split('\n');
+    const filled = lines.filter(line => line.trim());
+    if (filled.length === 0) return null;
+
+    const uncomment = filled.every(line => line.trimStart().startsWith('//'));
+    const column = Math.min(...filled.map(line => indentOf(line).length));
+    const edits = [];  // { at, removed, text } in the original text
+    let offset = first;
+    for (const line of lines) {
+        if (line.trim()) {
+            if (uncomment) {
+                const col = line.indexOf('//');
+                edits.push({ at: offset + col, removed: line.startsWith('// ', col) ? 3 : 2, text: '' });
+            } else {
+                edits.push({ at: offset + column, removed: 0, text: '// ' });
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    let result = value;
+    for (const edit of [...edits].reverse()) {
+        result = result.slice(0, edit.at) + edit.text + result.slice(edit.at + edit.removed);
+    }
+    const move = pos => pos + edits
+        .filter(edit => edit.at <= pos)
+        .reduce((delta, edit) => delta + edit.text.length - Math.min(edit.removed, pos - edit.at), 0);
+    return { value: result, start: move(s.start), end: move(s.end) };
+}
+
+/**
+ * Which characters of `value` are code rather than string, char literal or
+ * comment — brackets inside those don't count.
+ */
+function codeMask(value) {
+    const mask = new Array(value.length).fill(false);
+    let i = 0;
+    while (i < value.length) {
+        const ch = value[i];
+        if (ch === '/' && value[i + 1] === '/') {
+            while (i < value.length && value[i] !== '\n') i++;
+        } else if (ch === '/' && value[i + 1] === '*') {
+            const close = value.indexOf('*/', i + 2);
+            i = close === -1 ? value.length : close + 2;
+        } else if (QUOTES.has(ch)) {
+            i++;
+            while (i < value.length && value[i] !== ch && value[i] !== '\n') i += value[i] === '\\' ? 2 : 1;
+            i++;
+        } else {
+            mask[i++] = true;
+        }
+    }
+    return mask;
+}
+
+/**
+ * Index of the bracket matching the one at `index`, or -1.
+ * @param {string} value
+ * @param {number} index
+ * @returns {number}
+ */
+export function matchingBracket(value, index, mask = codeMask(value)) {
+    const ch = value[index];
+    if (!mask[index] || !(ch in OPENERS || ch in CLOSERS)) return -1;
+    const forward = ch in OPENERS;
+    const partner = forward ? OPENERS[ch] : CLOSERS[ch];
+    let depth = 0;
+    for (let i = index; i >= 0 && i < value.length; i += forward ? 1 : -1) {
+        if (!mask[i]) continue;
+        if (value[i] === ch) depth++;
+        else if (value[i] === partner && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * The bracket pair touching the caret — the bracket just before it, else
+ * the one just after.
+ * @param {string} value
+ * @param {number} caret
+ * @returns {{ open: number, close: number }|null}
+ */
+export function bracketPairAt(value, caret) {
+    const mask = codeMask(value);
+    for (const index of [caret - 1, caret]) {
+        if (index < 0 || index >= value.length) continue;
+        const match = matchingBracket(value, index, mask);
+        if (match !== -1) return { open: Math.min(index, match), close: Math.max(index, match) };
+    }
+    return null;
+}
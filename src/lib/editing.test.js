@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+    insertNewline, insertCharacter, deleteBackward, toggleComment, matchingBracket, bracketPairAt,
+} from './editing';
+
+// '|' marks the caret
+const at = text => ({ value: text.replace('|', ''), start: text.indexOf('|'), end: text.indexOf('|') });
+const shown = s => s && s.value.slice(0, s.start) + '|' + s.value.slice(s.end);
+
+describe('insertNewline', () => {
+    it('keeps the indentation of the current line', () => {
+        expect(shown(insertNewline(at('    int x = 1;|')))).toBe('    int x = 1;\n    |');
+    });
+
+    it('indents after an opening brace and moves a closing brace down', () => {
+        expect(shown(insertNewline(at('if (a) {|')))).toBe('if (a) {\n    |');
+        expect(shown(insertNewline(at('if (a) {|}')))).toBe('if (a) {\n    |\n}');
+    });
+});
+
+describe('insertCharacter', () => {
+    it('closes brackets and quotes', () => {
+        expect(shown(insertCharacter(at('f|'), '('))).toBe('f(|)');
+        expect(shown(insertCharacter(at('x = |;'), '"'))).toBe('x = "|";');
+    });
+
+    it('steps over a closer that is already there', () => {
+        expect(shown(insertCharacter(at('f(|)'), ')'))).toBe('f()|');
+    });
+
+    it('leaves a single quote after a word alone', () => {
+        expect(insertCharacter(at('// don|'), "'")).toBeNull();
+    });
+
+    it('wraps a selection', () => {
+        expect(insertCharacter({ value: 'a + b', start: 0, end: 5 }, '(')).toEqual({ value: '(a + b)', start: 1, end: 6 });
+    });
+
+    it('lines a closing brace up with its opener', () => {
+        expect(shown(insertCharacter(at('    if (a) {\n        x++;\n        |'), '}')))
+            .toBe('    if (a) {\n        x++;\n    }|');
+    });
+});
+
+describe('deleteBackward', () => {
+    it('deletes an empty pair', () => {
+        expect(shown(deleteBackward(at('f(|)')))).toBe('f|');
+        expect(deleteBackward(at('f(x|)'))).toBeNull();
+    });
+});
+
+describe('toggleComment', () => {
+    it('comments every selected line at the shallowest indentation, then uncomments them', () => {
+        const value = '    a();\n        b();\n';
+        const commented = toggleComment({ value, start: 0, end: value.length });
+        expect(commented.value).toBe('    // a();\n    //     b();\n');
+        expect(toggleComment(commented).value).toBe(value);
+    });
+
+    it('ignores blank lines', () => {
+        expect(toggleComment(at('|\n'))).toBeNull();
+    });
+});
+
+describe('bracket matching', () => {
+    it('skips brackets inside strings and comments', () => {
+        const value = 'f("(", x) // )';
+        expect(matchingBracket(value, 1)).toBe(8);
+        expect(matchingBracket(value, 3)).toBe(-1);
+    });
+
+    it('finds the pair on either side of the caret', () => {
+        expect(bracketPairAt('{ a }', 1)).toEqual({ open: 0, close: 4 });
+        expect(bracketPairAt('{ a }', 4)).toEqual({ open: 0, close: 4 });
+        expect(bracketPairAt('{ a }', 2)).toBeNull();
+    });
+});
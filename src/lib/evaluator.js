@@ -0,0 +1,284 @@
+/**
+ * evaluator.js
+ * Evaluates expression AST nodes (see parser.js) against a memory state.
+ *
+ * Values are plain JS values: heap addresses are strings like '0x101',
+ * `null` is null, numbers and booleans are themselves, Strings and chars are
+ * JS strings. Java types (from declarations, field layouts or literals) are
+ * tracked alongside values so int division, char arithmetic and string
+ * concatenation behave like Java.
+ */
+
+import { formatExpression } from './parser';
+
+/** Raised when an expression cannot be evaluated in the visualizer. */
+export class EvaluationError extends Error {
+    constructor(message, node) {
+        super(message);
+        this.node = node;
+    }
+}
+
+/**
+ * A Java exception raised by the program itself (NullPointerException,
+ * ArithmeticException). Unlike other evaluation errors it ends the run.
+ */
+export class JavaException extends EvaluationError {
+    constructor(exception, message, node) {
+        super(`${exception}: ${message}`, node);
+        this.exception = exception;
+    }
+}
+
+/**
+ * Helpful NullPointerException for a field read or write through `object`,
+ * worded like the JVM's: Cannot read field "next" because "cur" is null.
+ * @param {'read'|'assign'} access
+ * @param {object} object — expression that evaluated to null
+ * @param {string} field
+ * @param {object} node   — node to report the error at
+ */
+export function nullPointer(access, object, field, node) {
+    return new JavaException(
+        'NullPointerException',
+        `Cannot ${access} field "${field}" because "${formatExpression(object)}" is null`,
+        node
+    );
+}
+
+/**
+ * Render a value the way Java would print it, given its declared type:
+ * strings in double quotes, chars in single quotes, doubles with a decimal point.
+ * @param {*} value
+ * @param {string} [type]
+ * @returns {string}
+ */
+export function formatValue(value, type) {
+    if (value === null || value === undefined) return 'null';
+    switch (type) {
+        case 'String':
+            return JSON.stringify(value);
+        case 'char':
+            return `'${value === '\0' ? '\\0' : value}'`;
+        case 'double':
+        case 'float':
+            return Number.isInteger(value) ? value.toFixed(1) : String(value);
+        default:
+            return String(value);
+    }
+}
+
+const INT_TYPES = new Set(['int', 'long', 'short', 'byte']);
+const FLOAT_TYPES = new Set(['double', 'float']);
+
+function toInt(n) {
+    return Math.trunc(n) | 0;
+}
+
+// Numbers are exact up to 2^53, which covers the longs these programs use;
+// wrap-around at 2^63 is not modelled.
+function toLong(n) {
+    return Math.trunc(n);
+}
+
+/** Bitwise operators on longs go through BigInt, since JS bitwise ops are 32-bit. */
+function longBitwise(op, a, b) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    const result = op === '&' ? x & y : op === '|' ? x | y : x ^ y;
+    return Number(BigInt.asIntN(64, result));
+}
+
+function isNumeric(type) {
+    return INT_TYPES.has(type) || FLOAT_TYPES.has(type) || type === 'char';
+}
+
+/** Best guess at a value's type when no declaration says otherwise. */
+function typeOfValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+    return /^0x[0-9A-F]+$/.test(value) ? 'Object' : 'String';
+}
+
+/** Numeric value of a number or char operand. */
+function toNumber({ value, type }) {
+    return type === 'char' ? value.charCodeAt(0) : value;
+}
+
+/**
+ * Convert a value for storage in a variable or field of `type`,
+ * e.g. an int stored in a double, or a char widened to int.
+ * @param {*} value
+ * @param {string} type
+ * @returns {*}
+ */
+export function coerce(value, type) {
+    if (value === null || value === undefined || !type) return value;
+    if (INT_TYPES.has(type)) {
+        const n = typeof value === 'string' ? value.charCodeAt(0) : value;
+        return type === 'long' ? toLong(n) : toInt(n);
+    }
+    if (FLOAT_TYPES.has(type)) return typeof value === 'string' ? value.charCodeAt(0) : value;
+    if (type === 'char') return typeof value === 'number' ? String.fromCharCode(value) : value;
+    return value;
+}
+
+/** String.valueOf semantics, used for string concatenation. */
+function stringValue({ value, type }, state) {
+    if (value === null || value === undefined) return 'null';
+    if (type === 'String' || type === 'char') return value;
+    if (FLOAT_TYPES.has(type)) return formatValue(value, type);
+    const node = typeof value === 'string' ? state.heap[value] : null;
+    // Objects without toString() print as ClassName@hash
+    if (node) return `${node.className}@${value.slice(2).toLowerCase()}`;
+    return String(value);
+}
+
+function binary(op, left, right, node, state) {
+    // String concatenation wins over numeric addition
+    if (op === '+' && (left.type === 'String' || right.type === 'String')) {
+        return { value: stringValue(left, state) + stringValue(right, state), type: 'String' };
+    }
+
+    const numeric = isNumeric(left.type) && isNumeric(right.type);
+
+    switch (op) {
+        case '==':
+        case '!=': {
+            const same = numeric ? toNumber(left) === toNumber(right) : left.value === right.value;
+            return { value: op === '==' ? same : !same, type: 'boolean' };
+        }
+        case '&':
+        case '|':
+        case '^':
+            if (left.type === 'boolean') {
+                const value = op === '&' ? left.value && right.value
+                    : op === '|' ? left.value || right.value
+                        : left.value !== right.value;
+                return { value, type: 'boolean' };
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (!numeric) {
+        throw new EvaluationError(`bad operand types for binary operator '${op}'`, node);
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    const type = FLOAT_TYPES.has(left.type) || FLOAT_TYPES.has(right.type) ? 'double'
+        : left.type === 'long' || right.type === 'long' ? 'long' : 'int';
+    const int = n => (type === 'long' ? { value: toLong(n), type } : { value: toInt(n), type: 'int' });
+    const num = n => (type === 'double' ? { value: n, type } : int(n));
+
+    switch (op) {
+        case '<': return { value: a < b, type: 'boolean' };
+        case '>': return { value: a > b, type: 'boolean' };
+        case '<=': return { value: a <= b, type: 'boolean' };
+        case '>=': return { value: a >= b, type: 'boolean' };
+        case '+': return num(a + b);
+        case '-': return num(a - b);
+        case '*': return type === 'int' ? int(Math.imul(a, b)) : num(a * b);
+        case '/':
+        case '%':
+            if (type !== 'double' && b === 0) throw new JavaException('ArithmeticException', '/ by zero', node);
+            return num(op === '/' ? a / b : a % b);
+        case '&':
+        case '|':
+        case '^':
+            return type === 'long' ? int(longBitwise(op, a, b)) : int(op === '&' ? a & b : op === '|' ? a | b : a ^ b);
+        default:
+            throw new EvaluationError(`Unsupported operator '${op}'`, node);
+    }
+}
+
+/**
+ * Evaluate an expression to a value together with its Java type.
+ * @param {object} expr
+ * @param {object} state
+ * @returns {{ value: *, type: string }}
+ */
+export function evaluateTyped(expr, state) {
+    switch (expr.type) {
+        case 'Literal':
+            return { value: expr.value, type: expr.valueType };
+
+        case 'Name': {
+            const frame = state.frames[state.frames.length - 1];
+            const value = frame.vars[expr.name] ?? null;
+            return { value, type: frame.types?.[expr.name] ?? typeOfValue(value) };
+        }
+
+        case 'Value':
+            // Result already computed by the interpreter, e.g. a method call's return value
+            return { value: expr.value, type: expr.valueType ?? typeOfValue(expr.value) };
+
+        case 'FieldAccess': {
+            const addr = evaluate(expr.object, state);
+            if (addr === null) throw nullPointer('read', expr.object, expr.field, expr);
+            const node = state.heap[addr];
+            const value = node ? node.fields[expr.field] ?? null : null;
+            return { value, type: node?.fieldTypes?.[expr.field] ?? typeOfValue(value) };
+        }
+
+        case 'Binary': {
+            // Short-circuit operators only evaluate the right side when needed
+            if (expr.op === '&&' || expr.op === '||') {
+                const left = evaluate(expr.left, state);
+                const value = expr.op === '&&'
+                    ? left && Boolean(evaluate(expr.right, state))
+                    : left || Boolean(evaluate(expr.right, state));
+                return { value: Boolean(value), type: 'boolean' };
+            }
+            return binary(expr.op, evaluateTyped(expr.left, state), evaluateTyped(expr.right, state), expr, state);
+        }
+
+        case 'Unary': {
+            const operand = evaluateTyped(expr.operand, state);
+            if (expr.op === '!') return { value: !operand.value, type: 'boolean' };
+            const type = FLOAT_TYPES.has(operand.type) ? 'double' : operand.type === 'long' ? 'long' : 'int';
+            const n = toNumber(operand);
+            if (expr.op === '-') return { value: type === 'int' ? toInt(-n) : -n, type };
+            if (expr.op === '~') return { value: ~n, type: 'int' };
+            return { value: n, type };
+        }
+
+        case 'Cast': {
+            const operand = evaluateTyped(expr.operand, state);
+            const value = operand.type === 'char' && expr.castType !== 'char' ? toNumber(operand) : operand.value;
+            return { value: coerce(value, expr.castType), type: expr.castType };
+        }
+
+        case 'Conditional':
+            return evaluate(expr.test, state)
+                ? evaluateTyped(expr.consequent, state)
+                : evaluateTyped(expr.alternate, state);
+
+        default:
+            throw new EvaluationError(`Unsupported expression: ${expr.type}`, expr);
+    }
+}
+
+/**
+ * Text `System.out.print(expr)` writes: String.valueOf of the value, so
+ * objects without toString() print as `Node@101`.
+ * @param {object} expr
+ * @param {object} state
+ * @returns {string}
+ */
+export function printedText(expr, state) {
+    return stringValue(evaluateTyped(expr, state), state);
+}
+
+/**
+ * Evaluate an expression node against a memory state.
+ * @param {object} expr   — expression AST node
+ * @param {object} state  — memory state (see memoryModel.js)
+ * @returns {*} value
+ */
+export function evaluate(expr, state) {
+    return evaluateTyped(expr, state).value;
+}
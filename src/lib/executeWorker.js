@@ -0,0 +1,11 @@
+/**
+ * executeWorker.js
+ * Web Worker entry point: runs `execute` off the main thread and posts the
+ * trace back. See runner.js.
+ */
+
+import { execute } from './interpreter';
+
+self.onmessage = ({ data }) => {
+    self.postMessage(execute(data.code, data.options));
+};
@@ -0,0 +1,138 @@
+/**
+ * heapLayout.js
+ * Arranges every heap object on a grid for LinkedListView.
+ *
+ * Objects joined by any reference field form one connected component, drawn
+ * as its own grid. Inside a component each list runs along its link field
+ * (`next`) on one row. A list that runs into nodes already placed — a
+ * Y-shaped merge — gets its own row ending in the column just before the
+ * shared node, so a shared tail is drawn once.
+ *
+ * Following a list that loops back on itself ends at the node it returns
+ * to; that link is reported as the cycle's back edge, drawn as a curve.
+ *
+ * Layout shape:
+ * {
+ *   components: [{
+ *     id:    addr,               // lowest address in the component, a stable key
+ *     rows:  number,
+ *     cols:  number,
+ *     cells: [{ addr, row, col }],
+ *     nulls: [{ row, col }],     // `next = null` terminators
+ *   }],
+ *   cycles: [{ nodes: [addr, ...], from, to }],  // from.next === to closes the loop
+ * }
+ */
+
+import { linkField } from './memoryModel';
+
+/** Address the node's link field points to, or null. */
+function linkTarget(heap, addr) {
+    const node = heap[addr];
+    const field = linkField(node);
+    const target = field ? node.fields[field] : null;
+    return target && heap[target] ? target : null;
+}
+
+/** Connected components over every reference field, in allocation order. */
+function components(heap) {
+    const parent = Object.fromEntries(Object.keys(heap).map(addr => [addr, addr]));
+    const find = addr => {
+        while (parent[addr] !== addr) addr = parent[addr] = parent[parent[addr]];
+        return addr;
+    };
+    for (const node of Object.values(heap)) {
+        for (const field of node.refFields) {
+            const target = node.fields[field];
+            if (target && heap[target]) parent[find(node.id)] = find(target);
+        }
+    }
+
+    const groups = new Map();
+    for (const addr of Object.keys(heap)) {
+        const root = find(addr);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(addr);
+    }
+    return [...groups.values()];
+}
+
+function layoutComponent(heap, addrs, rank, cycles) {
+    const byRank = (a, b) => rank(a) - rank(b);
+    const pointedTo = new Set(addrs.map(addr => linkTarget(heap, addr)).filter(Boolean));
+    const heads = addrs.filter(addr => !pointedTo.has(addr)).sort(byRank);
+
+    const placed = new Map();
+    const nulls = [];
+    let rows = 0;
+
+    const placeList = head => {
+        const segment = [];
+        let cur = head;
+        while (cur && !placed.has(cur) && !segment.includes(cur)) {
+            segment.push(cur);
+            cur = linkTarget(heap, cur);
+        }
+
+        // Loops back into itself: every node from `cur` on is part of the cycle
+        if (segment.includes(cur)) {
+            const nodes = segment.slice(segment.indexOf(cur));
+            cycles.push({ nodes, from: nodes[nodes.length - 1], to: cur });
+        }
+
+        // Runs into an earlier list: end just before the shared node
+        const mergesInto = cur && placed.has(cur) ? placed.get(cur) : null;
+        const row = rows++;
+        const start = mergesInto ? mergesInto.col - segment.length : 0;
+        segment.forEach((addr, i) => placed.set(addr, { addr, row, col: start + i }));
+
+        const last = segment[segment.length - 1];
+        if (!cur && linkField(heap[last])) nulls.push({ row, col: start + segment.length });
+    };
+
+    heads.forEach(placeList);
+    // Whatever is left sits on a cycle with no way in; start at its best-ranked node
+    for (let rest = addrs.filter(a => !placed.has(a)); rest.length > 0; rest = rest.filter(a => !placed.has(a))) {
+        placeList(rest.sort(byRank)[0]);
+    }
+
+    // Merged rows may start left of column 0
+    const cells = [...placed.values()];
+    const minCol = Math.min(...cells.map(c => c.col), ...nulls.map(n => n.col));
+    cells.forEach(c => { c.col -= minCol; });
+    nulls.forEach(n => { n.col -= minCol; });
+
+    return {
+        id: addrs.reduce((low, addr) => (parseInt(addr, 16) < parseInt(low, 16) ? addr : low)),
+        rows,
+        cols: Math.max(...cells.map(c => c.col), ...nulls.map(n => n.col)) + 1,
+        cells: cells.sort((a, b) => a.row - b.row || a.col - b.col),
+        nulls,
+    };
+}
+
+/**
+ * Lay out the whole heap. Lists that stack variables point at come first
+ * (innermost frame first), and components made only of garbage come last.
+ * @param {object} state — memory state
+ * @returns {{ components: Array, cycles: Array }}
+ */
+export function layoutHeap(state) {
+    const { heap } = state;
+    const order = Object.keys(heap);
+    const roots = [...state.frames].reverse()
+        .flatMap(f => Object.values(f.vars))
+        .filter(value => typeof value === 'string' && heap[value]);
+    const rank = addr => {
+        const root = roots.indexOf(addr);
+        return root === -1 ? roots.length + order.indexOf(addr) : root;
+    };
+
+    const isGarbage = addrs => addrs.every(addr => heap[addr].garbageSince);
+    const groups = components(heap).sort((a, b) =>
+        isGarbage(a) - isGarbage(b) || Math.min(...a.map(rank)) - Math.min(...b.map(rank))
+    );
+
+    const cycles = [];
+    return { components: groups.map(addrs => layoutComponent(heap, addrs, rank, cycles)), cycles };
+}
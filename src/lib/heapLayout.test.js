@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { layoutHeap } from './heapLayout';
+import { execute } from './interpreter';
+import { replaySteps } from './memoryModel';
+
+const finalState = body => {
+    const { steps, errors } = execute(`class Main {
+    public static void main(String[] args) {
+${body}
+    }
+}`);
+    expect(errors).toEqual([]);
+    return replaySteps(steps, steps.length - 1);
+};
+
+const grid = component => component.cells.map(({ addr, row, col }) => `${addr}@${row},${col}`);
+
+describe('layoutHeap', () => {
+    it('puts a list on one row ending in null', () => {
+        const { components, cycles } = layoutHeap(finalState(`        Node head = new Node(1);
+        head.next = new Node(2);
+        head.next.next = new Node(3);`));
+        expect(components.map(grid)).toEqual([['0x100@0,0', '0x101@0,1', '0x102@0,2']]);
+        expect(components[0].nulls).toEqual([{ row: 0, col: 3 }]);
+        expect(cycles).toEqual([]);
+    });
+
+    it('draws a shared tail once, with the second list ending just before it', () => {
+        const { components } = layoutHeap(finalState(`        Node a = new Node(1);
+        a.next = new Node(2);
+        a.next.next = new Node(3);
+        Node b = new Node(9);
+        b.next = a.next.next;`));
+        expect(components.map(grid)).toEqual([['0x100@0,0', '0x101@0,1', '0x102@0,2', '0x103@1,1']]);
+    });
+
+    it('gives separate lists separate components', () => {
+        const { components } = layoutHeap(finalState(`        Node a = new Node(1);
+        Node b = new Node(2);`));
+        expect(components.map(grid)).toEqual([['0x100@0,0'], ['0x101@0,0']]);
+    });
+
+    it('reports the link that closes a cycle', () => {
+        const { cycles } = layoutHeap(finalState(`        Node a = new Node(1);
+        a.next = new Node(2);
+        a.next.next = a;`));
+        expect(cycles).toEqual([{ nodes: ['0x100', '0x101'], from: '0x101', to: '0x100' }]);
+    });
+
+    it('keeps a component id while nodes are pushed in front of its first cell', () => {
+        const { components } = layoutHeap(finalState(`        Node tail = new Node(1);
+        Node head = new Node(0);
+        head.next = tail;`));
+        expect(components[0].cells[0].addr).toBe('0x101');
+        expect(components[0].id).toBe('0x100');
+    });
+});
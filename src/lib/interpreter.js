@@ -0,0 +1,972 @@
+/**
+ * interpreter.js
+ * Executes a parsed program against the memory model and records the trace.
+ *
+ * Every executed statement (and every loop condition check) emits one step.
+ * Steps are applied to the live state as they are emitted, so conditions see
+ * the real stack and heap and the same source line can appear many times.
+ * The resulting steps can be replayed with `replaySteps` from memoryModel.js.
+ */
+
+import { parse, findEntryPoint, formatExpression, sourceOf, STEP_TYPES } from './parser';
+import { applyStep, initialState, topFrame, garbageAddresses, SEED_INTERVAL } from './memoryModel';
+import { evaluate, coerce, formatValue, printedText, EvaluationError, JavaException, nullPointer } from './evaluator';
+import { buildClassTable, fieldInitializers, isReferenceType } from './classes';
+import { analyze } from './semantics';
+
+// Default budgets so a loop that never terminates cannot run forever
+export const DEFAULT_MAX_STEPS = 5000;
+export const DEFAULT_TIME_LIMIT = 2000; // ms
+
+// The clock is only read every this many steps or loop iterations
+const CLOCK_INTERVAL = 256;
+
+// Deepest call stack before reporting a StackOverflowError
+const MAX_DEPTH = 200;
+
+/**
+ * Thrown to abort the whole run, like Java does at the first error:
+ *   reason 'exception' — StackOverflowError
+ *   reason 'budget'    — out of steps or time
+ *   reason 'error'     — a compile error or a statement the visualizer cannot run
+ * `error` is set when the error was already reported, e.g. by the parser.
+ */
+class HaltError extends Error {
+    constructor(message, node, { reason = 'error', exception = null, error = null } = {}) {
+        super(message);
+        this.node = node;
+        this.reason = reason;
+        this.exception = exception;
+        this.error = error;
+    }
+}
+
+/** Control-flow signals returned by statement execution */
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+const RETURN = { type: 'return' };
+
+function errorAt(node, message) {
+    const { loc } = node;
+    return {
+        lineIndex: loc.line,
+        column: loc.column,
+        endColumn: loc.line === loc.endLine ? loc.endColumn : loc.column + 1,
+        message,
+    };
+}
+
+function unsupported(ctx, node) {
+    throw new HaltError(`Unsupported statement: "${sourceOf(ctx.code, node.loc)}"`, node);
+}
+
+// ── Compile errors ─────────────────────────────────────────────────────────
+
+function comparePos(a, b) {
+    return a.line - b.line || a.column - b.column;
+}
+
+function startOf(node) {
+    return { line: node.loc.line, column: node.loc.column };
+}
+
+function endOf(node) {
+    return { line: node.loc.endLine, column: node.loc.endColumn };
+}
+
+function rangeOf(node) {
+    return { start: startOf(node), end: endOf(node) };
+}
+
+function positionOf(error) {
+    return { line: error.lineIndex, column: error.column };
+}
+
+function errorIn(error, { start, end }) {
+    const at = positionOf(error);
+    return comparePos(at, start) >= 0 && comparePos(at, end) < 0;
+}
+
+function compileHalt(error) {
+    return new HaltError(error.message, null, { error });
+}
+
+/**
+ * Execution is about to run the current method's source up to `to` (end
+ * exclusive): stop if javac rejected anything in that method before there.
+ */
+function checkCompiled(ctx, to) {
+    const { error } = ctx.bodies[ctx.bodies.length - 1];
+    if (error && comparePos(positionOf(error), to) < 0) throw compileHalt(error);
+}
+
+/**
+ * Run a method body (or main's statements) with its first compile error as
+ * the point execution cannot pass. A body with an error never completes,
+ * even when the error is in a branch that was not taken.
+ */
+function execBody(ctx, stmts, range) {
+    const error = ctx.compileErrors.find(e => errorIn(e, range)) ?? null;
+    ctx.bodies.push({ error });
+    try {
+        const signal = execStatements(ctx, stmts);
+        if (error) throw compileHalt(error);
+        return signal;
+    } finally {
+        ctx.bodies.pop();
+    }
+}
+
+/** End of the part of a statement that runs before its body: `while (cond)`, `if (cond)`. */
+function headerEnd(stmt) {
+    switch (stmt.type) {
+        case 'Block':
+            return startOf(stmt);
+        case 'If':
+            return startOf(stmt.consequent);
+        case 'While':
+        case 'DoWhile':
+        case 'For':
+            return startOf(stmt.body);
+        default:
+            return endOf(stmt);
+    }
+}
+
+/** Apply a step to the live state and append it to the trace. */
+function emit(ctx, step) {
+    if (ctx.steps.length >= ctx.maxSteps) {
+        throw budgetExceeded(ctx, `${ctx.maxSteps} steps`);
+    }
+    tick(ctx);
+    const frame = topFrame(ctx.state).id;
+    const full = step.iteration === undefined && ctx.iteration
+        ? { ...step, frame, iteration: ctx.iteration }
+        : { ...step, frame };
+    ctx.state = applyStep(ctx.state, full);
+    // Record which nodes this step left unreachable, for the step description
+    const garbage = Object.values(ctx.state.heap)
+        .filter(node => node.garbageSince?.step === ctx.state.stepIndex)
+        .map(node => node.id);
+    ctx.steps.push(garbage.length > 0 ? { ...full, garbage } : full);
+    if (ctx.steps.length % SEED_INTERVAL === 0) ctx.seeds.push(ctx.state);
+}
+
+/**
+ * Count a unit of work — a step or a loop iteration — and check the clock
+ * every CLOCK_INTERVAL units. Iterations count too, since `for (;;) {}`
+ * never emits a step.
+ */
+function tick(ctx) {
+    ctx.ticks++;
+    if (ctx.ticks % CLOCK_INTERVAL === 0 && Date.now() > ctx.deadline) {
+        throw budgetExceeded(ctx, `${ctx.timeLimit / 1000} s`);
+    }
+}
+
+/** Out of budget: blame the innermost loop still running, if any. */
+function budgetExceeded(ctx, spent) {
+    const loop = ctx.loops[ctx.loops.length - 1];
+    return new HaltError(`Execution stopped after ${spent} — possible infinite loop`, loop ? loop.test ?? loop : null, { reason: 'budget' });
+}
+
+/** Free every unreachable node in one visible step. */
+function emitSweep(ctx, lineIndex, reason) {
+    const garbage = garbageAddresses(ctx.state);
+    emit(ctx, {
+        type: STEP_TYPES.GC_SWEEP,
+        lineIndex,
+        freed: garbage,
+        description: garbage.length > 0
+            ? `${reason} → free ${garbage.join(', ')}`
+            : `${reason} → nothing to collect`,
+    });
+}
+
+function isSystemGc(expr) {
+    return expr.type === 'Call' && expr.name === 'gc' && expr.args.length === 0
+        && expr.object?.type === 'Name' && expr.object.name === 'System';
+}
+
+function isSystemOut(expr) {
+    return expr.type === 'Call' && (expr.name === 'print' || expr.name === 'println')
+        && expr.object?.type === 'FieldAccess' && expr.object.field === 'out'
+        && expr.object.object.type === 'Name' && expr.object.object.name === 'System';
+}
+
+function isNewNode(ctx, expr) {
+    return expr.type === 'New' && ctx.classes.has(expr.className);
+}
+
+function isNull(expr) {
+    return expr.type === 'Literal' && expr.valueType === 'null';
+}
+
+/**
+ * Field path being written, with the address of the node that owns the field
+ * when it is reached through other fields: `head.next (0x101).next`.
+ */
+function describeTarget(target, state) {
+    if (target.object.type === 'Name') return formatExpression(target);
+    const addr = evaluate(target.object, state);
+    return `${formatExpression(target.object)} (${addr ?? 'null'}).${target.field}`;
+}
+
+/** Source expression, with its resolved address when it is a field path or call. */
+function describeSource(source, state) {
+    const text = `\`${formatExpression(source)}\``;
+    if (source.type !== 'FieldAccess' && source.type !== 'Value') return text;
+    return `${text} (${evaluate(source, state) ?? 'null'})`;
+}
+
+/** Value `source` would store into a variable of `type`, formatted for display. */
+function preview(source, type, state) {
+    return formatValue(coerce(evaluate(source, state), type), type);
+}
+
+function describeAssign(verb, name, source, type, state) {
+    if (isNull(source)) return `${verb} \`${name}\` = null`;
+    if (isReferenceType(type)) {
+        return `${verb} \`${name}\` → points to same node as ${describeSource(source, state)}`;
+    }
+    // Primitives: show the computed value unless the source is already a literal
+    const text = `${verb} \`${name}\` = ${formatExpression(source)}`;
+    return source.type === 'Literal' ? text : `${text} → ${preview(source, type, state)}`;
+}
+
+function varType(state, name) {
+    return topFrame(state).types[name];
+}
+
+// ── Method calls ───────────────────────────────────────────────────────────
+
+function findMethod(ctx, call) {
+    if (call.object && !(call.object.type === 'Name' && ctx.classNames.has(call.object.name))) return null;
+    return ctx.methods.find(m => m.name === call.name && m.params.length === call.args.length) ?? null;
+}
+
+/**
+ * Execute every user-defined method call inside `expr` (in evaluation order)
+ * and return a copy of `expr` with each call replaced by a `Value` node
+ * holding its return value. The right side of && / || and the unused arm of
+ * ?: are left untouched when they would not be evaluated.
+ */
+function resolveCalls(ctx, expr) {
+    if (!expr) return expr;
+
+    switch (expr.type) {
+        case 'Call': {
+            const method = findMethod(ctx, expr);
+            if (!method) return expr;
+            const args = expr.args.map(arg => resolveCalls(ctx, arg));
+            const value = callMethod(ctx, method, args, expr);
+            return { type: 'Value', value, valueType: method.returnType, original: expr, loc: expr.loc };
+        }
+        case 'Binary': {
+            const left = resolveCalls(ctx, expr.left);
+            if (expr.op === '&&' || expr.op === '||') {
+                const leftValue = Boolean(evaluate(left, ctx.state));
+                if (leftValue === (expr.op === '||')) return { ...expr, left };
+            }
+            return { ...expr, left, right: resolveCalls(ctx, expr.right) };
+        }
+        case 'Conditional': {
+            const test = resolveCalls(ctx, expr.test);
+            const arm = evaluate(test, ctx.state) ? 'consequent' : 'alternate';
+            return { ...expr, test, [arm]: resolveCalls(ctx, expr[arm]) };
+        }
+        case 'Unary':
+        case 'Cast':
+            return { ...expr, operand: resolveCalls(ctx, expr.operand) };
+        case 'FieldAccess':
+            return { ...expr, object: resolveCalls(ctx, expr.object) };
+        case 'New':
+            return { ...expr, args: expr.args.map(arg => resolveCalls(ctx, arg)) };
+        default:
+            return expr;
+    }
+}
+
+/**
+ * Push a frame, run the method body and pop the frame again.
+ * A `discarded` result is not kept alive as a GC root after the return.
+ * @returns {*} the method's return value
+ */
+function callMethod(ctx, method, args, call, { discarded = false } = {}) {
+    if (ctx.state.frames.length >= MAX_DEPTH) {
+        throw new HaltError(`StackOverflowError: more than ${MAX_DEPTH} nested calls to \`${method.name}\``, call, {
+            reason: 'exception',
+            exception: 'StackOverflowError',
+        });
+    }
+
+    // push(new Node(9), 1) — objects passed straight in are allocated before the call
+    args = args.map(arg => (isNewNode(ctx, arg) ? createValue(ctx, call.loc.line, arg, `pass to \`${method.name}\``) : arg));
+    const bindings = method.params
+        .map((param, i) => `${param.name} = ${preview(args[i], param.varType, ctx.state)}`)
+        .join(', ');
+    emit(ctx, {
+        type: STEP_TYPES.CALL,
+        lineIndex: call.loc.line,
+        method: method.name,
+        params: method.params.map(param => param.name),
+        paramTypes: method.params.map(param => param.varType),
+        args,
+        discarded,
+        description: `Call \`${formatExpression(call)}\` → push frame${bindings ? ` (${bindings})` : ''}`,
+    });
+
+    // Loop iterations and block scopes of the caller do not apply inside the callee
+    const callerScopes = ctx.scopes;
+    ctx.scopes = [];
+    let signal;
+    try {
+        signal = runIteration(ctx, null, () => execBody(ctx, method.body.body, rangeOf(method.body)));
+    } finally {
+        ctx.scopes = callerScopes;
+    }
+
+    if (signal !== RETURN) {
+        emit(ctx, {
+            type: STEP_TYPES.RETURN,
+            lineIndex: method.body.loc.endLine,
+            method: method.name,
+            value: null,
+            description: `Return from \`${method.name}\` → pop frame`,
+        });
+    }
+    return ctx.state.returnValue;
+}
+
+function execReturn(ctx, stmt) {
+    // `return` in main ends the program
+    if (ctx.state.frames.length === 1) return RETURN;
+
+    const { method } = topFrame(ctx.state);
+    const { returnType } = ctx.methods.find(m => m.name === method);
+    const resolved = resolveCalls(ctx, stmt.argument);
+    // return new Node(v);
+    const value = resolved && isNewNode(ctx, resolved)
+        ? createValue(ctx, stmt.loc.line, resolved, `return from \`${method}\``)
+        : resolved;
+    emit(ctx, {
+        type: STEP_TYPES.RETURN,
+        lineIndex: stmt.loc.line,
+        method,
+        value,
+        returnType,
+        description: value
+            ? `Return \`${formatExpression(value)}\` (${preview(value, returnType, ctx.state)}) from \`${method}\` → pop frame`
+            : `Return from \`${method}\` → pop frame`,
+    });
+    return RETURN;
+}
+
+// ── Statements ─────────────────────────────────────────────────────────────
+
+/**
+ * Allocate an object for `new C(args)` and store its address either in a
+ * variable (`dest.varName`), in a field (`dest.target`) or nowhere (`{}`).
+ * @returns {string} address of the new object
+ */
+function emitCreate(ctx, lineIndex, expr, dest, destText) {
+    const layout = ctx.classes.get(expr.className);
+    // new ListNode(1, new ListNode(2)) — inner objects are allocated first
+    const args = expr.args.map(arg => (
+        isNewNode(ctx, arg) ? createValue(ctx, lineIndex, arg, `pass to \`${layout.name}\` constructor`) : arg
+    ));
+    const fields = fieldInitializers(layout, args);
+    if (!fields) {
+        throw new EvaluationError(`constructor ${layout.name} in class ${layout.name} cannot be applied to given types`, expr);
+    }
+    emit(ctx, {
+        type: STEP_TYPES.CREATE_NODE,
+        lineIndex,
+        className: layout.name,
+        fields,
+        refFields: layout.fields.filter(f => f.isRef).map(f => f.name),
+        fieldTypes: Object.fromEntries(layout.fields.map(f => [f.name, f.type])),
+        ...dest,
+        description: `Create ${layout.name}(${expr.args.map(formatExpression).join(', ')}) → ${destText}`,
+    });
+    return ctx.state.lastModified;
+}
+
+/** Allocate an object used as a value (an argument or return value) and stand its address in for it. */
+function createValue(ctx, lineIndex, expr, destText) {
+    const value = emitCreate(ctx, lineIndex, expr, {}, destText);
+    return { type: 'Value', value, valueType: expr.className, original: expr, loc: expr.loc };
+}
+
+function execDeclaration(ctx, stmt) {
+    const { varType: type } = stmt;
+
+    for (const declarator of stmt.declarators) {
+        const { name, loc } = declarator;
+        ctx.scopes[ctx.scopes.length - 1]?.push(name);
+
+        // int count;  Node prev;  — declared but not yet assigned
+        if (!declarator.init) {
+            emit(ctx, {
+                type: STEP_TYPES.ASSIGN_VAR,
+                lineIndex: loc.line,
+                varName: name,
+                varType: type,
+                source: null,
+                description: `Declare \`${name}\` (unassigned)`,
+            });
+            continue;
+        }
+
+        const init = resolveCalls(ctx, declarator.init);
+
+        // Node x = new Node(val);
+        if (isNewNode(ctx, init)) {
+            emitCreate(ctx, loc.line, init, { varName: name, varType: type }, `assign to \`${name}\``);
+            continue;
+        }
+
+        if (init.type === 'New') return unsupported(ctx, stmt);
+
+        // Node x = y;  int count = 0;
+        emit(ctx, {
+            type: STEP_TYPES.ASSIGN_VAR,
+            lineIndex: loc.line,
+            varName: name,
+            varType: type,
+            source: init,
+            description: describeAssign('Declare', name, init, type, ctx.state),
+        });
+    }
+}
+
+/**
+ * Heap object owning the field a statement is about to write.
+ * Writing through null throws NullPointerException before any step is emitted.
+ */
+function writeTarget(ctx, target) {
+    const addr = evaluate(target.object, ctx.state);
+    if (addr === null) throw nullPointer('assign', target.object, target.field, target);
+    const node = ctx.state.heap[addr];
+    if (node && !(target.field in node.fields)) {
+        throw new EvaluationError(`cannot find symbol: variable ${target.field} in class ${node.className}`, target);
+    }
+    return node;
+}
+
+/** Declared type of a field write target. */
+function fieldType(ctx, target) {
+    return writeTarget(ctx, target)?.fieldTypes[target.field];
+}
+
+/**
+ * count++;  --i;  total += cur.data;  cur.data *= 2;  — rewritten as
+ * `x = x op rhs` so applyStep only ever sees plain assignments.
+ */
+function execUpdate(ctx, stmt) {
+    const { expression: expr } = stmt;
+    const { target } = expr;
+    const isField = target.type === 'FieldAccess' && !ctx.refFields.has(target.field);
+    if (target.type !== 'Name' && !isField) return unsupported(ctx, stmt);
+
+    const isStep = expr.type === 'Update';
+    const op = isStep ? expr.op[0] : expr.op.slice(0, -1);
+    const rhs = isStep
+        ? { type: 'Literal', valueType: 'int', value: 1, raw: '1', loc: expr.loc }
+        : resolveCalls(ctx, expr.value);
+    const source = { type: 'Binary', op, left: target, right: rhs, loc: expr.loc };
+    const name = isField ? describeTarget(target, ctx.state) : target.name;
+    const type = isField ? fieldType(ctx, target) : varType(ctx.state, target.name);
+    const result = preview(source, type, ctx.state);
+
+    emit(ctx, {
+        ...(isField
+            ? { type: STEP_TYPES.SET_FIELD, target }
+            : { type: STEP_TYPES.ASSIGN_VAR, varName: target.name }),
+        lineIndex: stmt.loc.line,
+        source,
+        description: isStep
+            ? `${op === '+' ? 'Increment' : 'Decrement'} \`${name}\` → ${result}`
+            : `Update \`${name} ${expr.op} ${formatExpression(rhs)}\` → ${result}`,
+    });
+}
+
+/** System.out.print(x) / println(x): the text goes to the console panel. */
+function execPrint(ctx, call) {
+    const newline = call.name === 'println';
+    if (call.args.length > 1 || (!newline && call.args.length === 0)) {
+        throw new EvaluationError(`no suitable method found for ${call.name} with ${call.args.length} arguments`, call);
+    }
+    const arg = call.args.length > 0 ? resolveCalls(ctx, call.args[0]) : null;
+    const text = arg ? printedText(arg, ctx.state) : '';
+    emit(ctx, {
+        type: STEP_TYPES.PRINT,
+        lineIndex: call.loc.line,
+        text,
+        newline,
+        description: arg
+            ? `Print \`${formatExpression(arg)}\` → ${JSON.stringify(text)}${newline ? ' ↵' : ''}`
+            : 'Print an empty line',
+    });
+}
+
+function execExpression(ctx, stmt) {
+    const { expression: expr } = stmt;
+    const lineNum = stmt.loc.line;
+
+    // System.gc();
+    if (isSystemGc(expr)) return emitSweep(ctx, lineNum, 'Run garbage collector');
+
+    // System.out.println(cur.data);
+    if (isSystemOut(expr)) return execPrint(ctx, expr);
+
+    // printList(head);  — result discarded
+    const method = expr.type === 'Call' ? findMethod(ctx, expr) : null;
+    if (method) {
+        callMethod(ctx, method, expr.args.map(arg => resolveCalls(ctx, arg)), expr, { discarded: true });
+        return;
+    }
+
+    if (expr.type === 'Update' || (expr.type === 'Assign' && expr.op !== '=')) return execUpdate(ctx, stmt);
+    if (expr.type !== 'Assign') return unsupported(ctx, stmt);
+    const { target } = expr;
+    const value = resolveCalls(ctx, expr.value);
+
+    if (target.type === 'FieldAccess' && ctx.refFields.has(target.field)) {
+        writeTarget(ctx, target);
+        const path = describeTarget(target, ctx.state);
+        // x.next = new Node(val);
+        if (isNewNode(ctx, value)) {
+            emitCreate(ctx, lineNum, value, { target }, `link from \`${path}\``);
+            return;
+        }
+        // x.next = null;  a.next.next = null;
+        if (isNull(value)) {
+            emit(ctx, {
+                type: STEP_TYPES.SET_NULL,
+                lineIndex: lineNum,
+                target,
+                description: `Set \`${path}\` = null`,
+            });
+            return;
+        }
+        // x.next = y;  prev.next = cur.next;
+        emit(ctx, {
+            type: STEP_TYPES.SET_NEXT,
+            lineIndex: lineNum,
+            target,
+            source: value,
+            description: `Link \`${path}\` → ${describeSource(value, ctx.state)}`,
+        });
+        return;
+    }
+
+    // x.data = 5;  cur.data = cur.data * 2;
+    if (target.type === 'FieldAccess' && value.type !== 'New') {
+        const path = describeTarget(target, ctx.state);
+        emit(ctx, {
+            type: STEP_TYPES.SET_FIELD,
+            lineIndex: lineNum,
+            target,
+            source: value,
+            description: describeAssign('Set', path, value, fieldType(ctx, target), ctx.state),
+        });
+        return;
+    }
+
+    // x = new Node(val);
+    if (target.type === 'Name' && isNewNode(ctx, value)) {
+        emitCreate(ctx, lineNum, value, { varName: target.name }, `assign to \`${target.name}\``);
+        return;
+    }
+
+    // x = y;  (reassign existing variable)
+    if (target.type === 'Name' && value.type !== 'New') {
+        emit(ctx, {
+            type: STEP_TYPES.ASSIGN_VAR,
+            lineIndex: lineNum,
+            varName: target.name,
+            source: value,
+            description: describeAssign('Reassign', target.name, value, varType(ctx.state, target.name), ctx.state),
+        });
+        return;
+    }
+
+    unsupported(ctx, stmt);
+}
+
+/**
+ * Evaluate a loop condition, emitting a CONDITION step for it.
+ * @returns {boolean}
+ */
+function checkCondition(ctx, condition, check) {
+    const test = resolveCalls(ctx, condition);
+    const value = Boolean(evaluate(test, ctx.state));
+    emit(ctx, {
+        type: STEP_TYPES.CONDITION,
+        lineIndex: test.loc.line,
+        test,
+        value,
+        iteration: check,
+        description: `Check \`${formatExpression(test)}\` → ${value}${value ? '' : ', exit loop'}`,
+    });
+    return value;
+}
+
+/** Line range covered by a statement, or null when there is none. */
+function lineRange(stmt) {
+    return stmt ? { start: stmt.loc.line, end: stmt.loc.endLine } : null;
+}
+
+/**
+ * Lines of the branch not taken, minus any line it shares with the branch
+ * that runs: `} else if (b) {` belongs to the else-if still to be decided.
+ */
+function skippedRange(skipped, taken) {
+    const range = lineRange(skipped);
+    if (!range || !taken) return range;
+    const ran = lineRange(taken);
+    const start = range.start === ran.end ? range.start + 1 : range.start;
+    const end = range.end === ran.start ? range.end - 1 : range.end;
+    return start <= end ? { start, end } : null;
+}
+
+/**
+ * Evaluate an if condition, emit a BRANCH step recording the branch taken,
+ * then run that branch.
+ */
+function execIf(ctx, stmt) {
+    const { consequent, alternate } = stmt;
+    const test = resolveCalls(ctx, stmt.test);
+    const value = Boolean(evaluate(test, ctx.state));
+    const taken = value ? 'then' : alternate ? 'else' : 'none';
+    const outcome = value
+        ? 'enter if-branch'
+        : alternate?.type === 'If' ? 'try else if' : alternate ? 'enter else-branch' : 'skip if-branch';
+
+    emit(ctx, {
+        type: STEP_TYPES.BRANCH,
+        lineIndex: test.loc.line,
+        test,
+        value,
+        branch: taken,
+        range: lineRange(stmt),
+        skipped: value ? skippedRange(alternate, consequent) : skippedRange(consequent, alternate),
+        description: `Check \`${formatExpression(test)}\` → ${value}, ${outcome}`,
+    });
+
+    if (value) return execStatement(ctx, consequent);
+    if (alternate) return execStatement(ctx, alternate);
+    return null;
+}
+
+/**
+ * Run a loop body with `ctx.iteration` set, restoring the outer loop's
+ * iteration afterwards.
+ */
+function runIteration(ctx, iteration, fn) {
+    const outer = ctx.iteration;
+    ctx.iteration = iteration;
+    try {
+        return fn();
+    } catch (err) {
+        // Remember the iteration that crashed before unwinding restores the outer one
+        if ((err instanceof JavaException || err instanceof HaltError) && !('iteration' in err)) err.iteration = iteration;
+        throw err;
+    } finally {
+        ctx.iteration = outer;
+    }
+}
+
+function execLoop(ctx, stmt) {
+    const { test, body } = stmt;
+    const update = stmt.type === 'For' ? stmt.update : [];
+    let iteration = 0;
+
+    if (stmt.type === 'For') {
+        const signal = execStatements(ctx, stmt.init);
+        if (signal) return signal;
+    }
+
+    // Innermost running loop is blamed when the budget runs out
+    ctx.loops.push(stmt);
+    try {
+        for (; ;) {
+            if (stmt.type !== 'DoWhile' || iteration > 0) {
+                // do { ... } while (cond);  — the condition comes after the body
+                if (stmt.type === 'DoWhile') checkCompiled(ctx, endOf(stmt));
+                if (test && !checkCondition(ctx, test, iteration + 1)) return null;
+            }
+            iteration++;
+            // Loops that emit nothing still use up the budget
+            if (++ctx.iterations > ctx.maxSteps) throw budgetExceeded(ctx, `${ctx.maxSteps} loop iterations`);
+            tick(ctx);
+
+            const signal = runIteration(ctx, iteration, () => {
+                const s = execStatement(ctx, body);
+                if (s === BREAK || s === RETURN) return s;
+                return execStatements(ctx, update);
+            });
+            if (signal === BREAK) return null;
+            if (signal === RETURN) return signal;
+        }
+    } finally {
+        ctx.loops.pop();
+    }
+}
+
+/**
+ * Run `fn` as a block scope. The locals it declares go out of scope in an
+ * END_SCOPE step when it ends, so they stop being GC roots. A method body
+ * needs no scope: its frame is popped instead.
+ */
+function inScope(ctx, lineIndex, fn) {
+    const names = [];
+    ctx.scopes.push(names);
+    let signal;
+    try {
+        signal = fn();
+    } finally {
+        ctx.scopes.pop();
+    }
+    // After a return the whole frame is gone
+    if (names.length > 0 && signal !== RETURN) {
+        emit(ctx, {
+            type: STEP_TYPES.END_SCOPE,
+            lineIndex,
+            names,
+            description: `End of block → ${names.map(name => `\`${name}\``).join(', ')} out of scope`,
+        });
+    }
+    return signal;
+}
+
+function execStatements(ctx, stmts) {
+    for (const stmt of stmts) {
+        const signal = execStatement(ctx, stmt);
+        if (signal) return signal;
+    }
+    return null;
+}
+
+function execStatement(ctx, stmt) {
+    checkCompiled(ctx, headerEnd(stmt));
+    try {
+        switch (stmt.type) {
+            case 'Empty':
+                return null;
+            case 'Block':
+                return inScope(ctx, stmt.loc.endLine, () => execStatements(ctx, stmt.body));
+            case 'VarDecl':
+                return execDeclaration(ctx, stmt);
+            case 'ExprStmt':
+                return execExpression(ctx, stmt);
+            case 'If':
+                return execIf(ctx, stmt);
+            case 'While':
+            case 'DoWhile':
+                return execLoop(ctx, stmt);
+            case 'For':
+                // for (Node cur = head; ...) — cur lives as long as the loop
+                return inScope(ctx, stmt.loc.endLine, () => execLoop(ctx, stmt));
+            case 'Return':
+                return execReturn(ctx, stmt);
+            case 'Break':
+                return BREAK;
+            case 'Continue':
+                return CONTINUE;
+            default:
+                return unsupported(ctx, stmt);
+        }
+    } catch (err) {
+        // Java exceptions end the run; see execute()
+        if (!(err instanceof EvaluationError) || err instanceof JavaException) throw err;
+        throw new HaltError(err.message, err.node ?? stmt);
+    }
+}
+
+/**
+ * Lines skipped by the if statements enclosing the step at `index`.
+ * Only the most recent decision of each if statement counts, so earlier
+ * loop iterations do not leak into the current one.
+ * @param {Array} steps
+ * @param {number} index
+ * @returns {Set<number>} 0-indexed line numbers
+ */
+export function skippedLinesAt(steps, index) {
+    const skipped = new Set();
+    const line = steps[index]?.lineIndex;
+    if (line === undefined) return skipped;
+
+    const decided = new Set();
+    for (let i = index; i >= 0; i--) {
+        const step = steps[i];
+        // Only branches decided in the same call frame as the current step
+        if (step.type !== STEP_TYPES.BRANCH || step.frame !== steps[index].frame) continue;
+        const key = `${step.test.loc.line}:${step.test.loc.column}`;
+        if (decided.has(key)) continue;
+        decided.add(key);
+        if (line < step.range.start || line > step.range.end || !step.skipped) continue;
+        for (let l = step.skipped.start; l <= step.skipped.end; l++) {
+            // One-line ifs: the condition's own line still ran
+            if (l !== step.lineIndex) skipped.add(l);
+        }
+    }
+    return skipped;
+}
+
+/**
+ * Record whatever ended the run — an uncaught Java exception, an exhausted
+ * budget, or the first error execution ran into — as the last step of the
+ * trace. The step leaves memory untouched, so it shows the state just before
+ * the failure and the partial trace stays steppable.
+ */
+function throwException(ctx, err) {
+    const last = ctx.steps[ctx.steps.length - 1];
+    const reason = err instanceof JavaException ? 'exception' : err.reason;
+    // Compile errors are already reported, by the parser or the semantic pass
+    const error = err.error ?? {
+        ...(err.node
+            ? errorAt(err.node, err.message)
+            : { lineIndex: last?.lineIndex ?? 0, column: 0, endColumn: 0, message: err.message }),
+        runtime: true,
+    };
+    const step = {
+        type: STEP_TYPES.EXCEPTION,
+        lineIndex: error.lineIndex,
+        reason,
+        exception: err.exception,
+        error,
+        description: err.exception ? `Exception in thread "main" ${err.message}`
+            : err.error ? `error: ${err.message}`
+                : err.message,
+        frame: topFrame(ctx.state).id,
+    };
+    // Bypasses emit(): the crash is reported even when the step budget is spent
+    ctx.steps.push(err.iteration ? { ...step, iteration: err.iteration } : step);
+    if (!err.error) ctx.errors.push(error);
+}
+
+/**
+ * Parse and execute Java code, producing the step trace.
+ *
+ * Like Java, execution stops at the first error: the trace runs up to the
+ * first compile error execution reaches (or not at all when the error is
+ * outside any method body) or the first runtime error, and ends with an
+ * EXCEPTION step describing it.
+ * @param {string} code
+ * @param {object} [options]
+ * @param {boolean} [options.gcSweep] — finish with a GC sweep step when garbage is left
+ * @param {number} [options.maxSteps] — step budget
+ * @param {number} [options.timeLimit] — wall-clock budget in ms
+ * @returns {{ steps: Array, errors: Array, seeds: Array }} seeds — states for createTimeline
+ */
+export function execute(code, { gcSweep = false, maxSteps = DEFAULT_MAX_STEPS, timeLimit = DEFAULT_TIME_LIMIT } = {}) {
+    const { program, errors: parseErrors } = parse(code);
+    const classes = buildClassTable(program);
+    // Statements dropped by parse errors would show up as undeclared names
+    const semanticErrors = parseErrors.length === 0 ? analyze(program, classes) : [];
+    const main = [...program.methods, ...program.classes.flatMap(c => c.methods)].find(m => m.name === 'main');
+    const ctx = {
+        code,
+        state: initialState(),
+        steps: [],
+        seeds: [],
+        errors: [],
+        iteration: null,
+        loops: [],
+        maxSteps,
+        timeLimit,
+        deadline: Date.now() + timeLimit,
+        ticks: 0,
+        scopes: [],  // names declared in each enclosing block of the current frame
+        iterations: 0,
+        methods: [...program.methods, ...program.classes.flatMap(c => c.methods)],
+        classNames: new Set(program.classes.map(c => c.name)),
+        classes,
+        refFields: new Set([...classes.values()].flatMap(c => c.fields.filter(f => f.isRef).map(f => f.name))),
+        compileErrors: [...parseErrors, ...semanticErrors]
+            .sort((a, b) => a.lineIndex - b.lineIndex || a.column - b.column),
+        bodies: [],
+    };
+    // Top-level statements may sit anywhere in the file
+    const entry = main ? rangeOf(main.body) : { start: { line: 0, column: 0 }, end: { line: Infinity, column: 0 } };
+
+    try {
+        // An error in a declaration (a field, a constructor) means nothing runs at all
+        const bodies = [entry, ...ctx.methods.map(m => rangeOf(m.body))];
+        const outside = ctx.compileErrors.find(e => !bodies.some(range => errorIn(e, range)));
+        if (outside) throw compileHalt(outside);
+
+        execBody(ctx, findEntryPoint(program), entry);
+        if (gcSweep && garbageAddresses(ctx.state).length > 0) {
+            const lastLine = main ? main.body.loc.endLine : ctx.steps[ctx.steps.length - 1].lineIndex;
+            emitSweep(ctx, lastLine, 'GC sweep');
+        }
+    } catch (err) {
+        if (err instanceof JavaException || err instanceof HaltError) {
+            throwException(ctx, err);
+        } else {
+            throw err;
+        }
+    }
+
+    // Statements inside loops can fail on every iteration; report each once
+    const seen = new Set();
+    const errors = [...parseErrors, ...semanticErrors, ...ctx.errors].filter(e => {
+        const key = `${e.lineIndex}:${e.column}:${e.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    errors.sort((a, b) => a.lineIndex - b.lineIndex || a.column - b.column);
+
+    return { steps: ctx.steps, errors, seeds: ctx.seeds };
+}
+
+/**
+ * What a step means for the timeline: a heap allocation, a pointer rewire
+ * (`x.next = ...`), an uncaught exception, or nothing worth marking.
+ * @param {object} step
+ * @returns {'allocation'|'rewire'|'error'|null}
+ */
+export function stepCategory(step) {
+    switch (step.type) {
+        case STEP_TYPES.CREATE_NODE:
+            return 'allocation';
+        case STEP_TYPES.SET_NEXT:
+        case STEP_TYPES.SET_NULL:
+            return 'rewire';
+        case STEP_TYPES.EXCEPTION:
+            return 'error';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Console output written by the steps up to `index`, split into lines.
+ * Each line keeps the steps that wrote it, so output links back to its step.
+ * @param {Array} steps
+ * @param {number} index
+ * @returns {Array<Array<{ text: string, step: number }>>} lines of segments
+ */
+export function consoleLinesAt(steps, index) {
+    const lines = [[]];
+    for (let i = 0; i <= index && i < steps.length; i++) {
+        const step = steps[i];
+        if (step.type !== STEP_TYPES.PRINT) continue;
+        step.text.split('\n').forEach((part, k) => {
+            if (k > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ text: part, step: i });
+        });
+        if (step.newline) {
+            // println() on its own still produces a (blank) line linked to its step
+            if (lines[lines.length - 1].length === 0) lines[lines.length - 1].push({ text: '', step: i });
+            lines.push([]);
+        }
+    }
+    // Drop the line the cursor sits on when nothing has been written to it yet
+    if (lines[lines.length - 1].length === 0) lines.pop();
+    return lines;
+}
@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import { execute, skippedLinesAt } from './interpreter';
+import { STEP_TYPES } from './parser';
+
+const printed = steps => steps.filter(step => step.type === STEP_TYPES.PRINT).map(step => step.text);
+
+describe('object creation', () => {
+    it('allocates objects passed as arguments or returned', () => {
+        const { steps, errors } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    static Node mk(int v) { return new Node(v); }
+    static Node push(Node n, int v) { n.data = v; return n; }
+    public static void main(String[] args) {
+        Node a = mk(1);
+        a.next = push(new Node(9), 2);
+        push(new Node(5), 3);
+        System.out.println(a.next.data);
+    }
+}`, { gcSweep: true });
+        expect(errors).toEqual([]);
+        expect(printed(steps)).toEqual(['2']);
+        // Only the object handed to the discarded call becomes garbage
+        expect(steps[steps.length - 1].freed).toEqual(['0x102']);
+    });
+});
+
+describe('definite assignment', () => {
+    const run = body => execute(`class Main {
+    public static void main(String[] args) {
+${body}
+    }
+}`);
+
+    it('treats the breaks as the only way out of while (true)', () => {
+        const { steps, errors } = run(`        int x;
+        while (true) { x = 1; break; }
+        System.out.println(x);`);
+        expect(errors).toEqual([]);
+        expect(printed(steps)).toEqual(['1']);
+    });
+
+    it('still reports a variable a break can skip', () => {
+        const { errors } = run(`        int x;
+        int i = 0;
+        while (true) { if (i > 2) break; x = i; i++; }
+        System.out.println(x);`);
+        expect(errors.map(e => e.message)).toEqual(['variable x might not have been initialized']);
+    });
+});
+
+describe('skipped lines', () => {
+    it('leaves an else-if line unskipped while its condition is checked', () => {
+        const { steps } = execute(`class Main {
+    public static void main(String[] args) {
+        int x = 2;
+        if (x == 1) {
+            x = 10;
+        } else if (x == 2) {
+            x = 20;
+        } else {
+            x = 30;
+        }
+    }
+}`);
+        const elseIf = steps.findIndex(step => step.type === STEP_TYPES.BRANCH && step.lineIndex === 5);
+        // The first if's body and the final else — but not `} else if (x == 2) {`
+        expect([...skippedLinesAt(steps, elseIf)].sort()).toEqual([4, 8, 9]);
+    });
+});
+
+describe('static fields', () => {
+    it('are reported as unsupported where they are used', () => {
+        const { steps, errors } = execute(`class Main {
+    static int size;
+    public static void main(String[] args) {
+        size++;
+    }
+}`);
+        expect(errors.map(e => [e.lineIndex, e.message])).toEqual([
+            [3, 'static field size is not supported — use an instance field or a local variable'],
+        ]);
+        expect(steps[steps.length - 1].type).toBe(STEP_TYPES.EXCEPTION);
+    });
+});
+
+describe('budgets', () => {
+    it.each(['for (;;) {}', 'for (;;);'])('stops %s, which emits no steps', (loop) => {
+        const { steps, errors } = execute(`class Main {
+    public static void main(String[] args) {
+        ${loop}
+    }
+}`, { maxSteps: 1000 });
+        expect(errors.map(e => e.message)).toEqual(['Execution stopped after 1000 loop iterations — possible infinite loop']);
+        expect(steps[steps.length - 1]).toMatchObject({ type: STEP_TYPES.EXCEPTION, reason: 'budget' });
+    });
+
+    it('stops an empty loop on the clock', () => {
+        const { errors } = execute(`class Main {
+    public static void main(String[] args) {
+        while (true) {}
+    }
+}`, { maxSteps: Infinity, timeLimit: 50 });
+        expect(errors.map(e => e.message)).toEqual(['Execution stopped after 0.05 s — possible infinite loop']);
+    });
+});
+
+describe('default node layout', () => {
+    const run = args => execute(`class Main {
+    public static void main(String[] args) {
+        Node head = new Node(${args});
+        System.out.println(head.data);
+    }
+}`);
+
+    it.each([
+        ['"hello"', 'hello'],
+        ["'q'", 'q'],
+        ['2.5', '2.5'],
+        ['true', 'true'],
+        ['-7', '-7'],
+    ])('stores new Node(%s) without converting it to int', (arg, output) => {
+        const { steps, errors } = run(arg);
+        expect(errors).toEqual([]);
+        expect(printed(steps)).toEqual([output]);
+    });
+});
+
+describe('long arithmetic', () => {
+    it('keeps values beyond the int range', () => {
+        const { steps, errors } = execute(`class Main {
+    public static void main(String[] args) {
+        long big = 3000000000L;
+        long sum = big + 1;
+        long product = 100000L * 100000;
+        int wrapped = 2147483647;
+        wrapped++;
+        System.out.println(big);
+        System.out.println(sum);
+        System.out.println(product / 3);
+        System.out.println(-big);
+        System.out.println(big | 1L);
+        System.out.println(wrapped);
+    }
+}`);
+        expect(errors).toEqual([]);
+        expect(printed(steps)).toEqual([
+            '3000000000', '3000000001', '3333333333', '-3000000000', '3000000001', '-2147483648',
+        ]);
+    });
+});
+
+describe('step lines', () => {
+    it('puts each statement of a shared line on that line and a split statement on its first line', () => {
+        const { steps, errors } = execute(`int a = 1; int b = 2;
+int c = a +
+    b;
+// done`);
+        expect(errors).toEqual([]);
+        expect(steps.map(step => [step.type, step.lineIndex])).toEqual([
+            [STEP_TYPES.ASSIGN_VAR, 0],
+            [STEP_TYPES.ASSIGN_VAR, 0],
+            [STEP_TYPES.ASSIGN_VAR, 1],
+        ]);
+    });
+});
+
+describe('runtime exceptions', () => {
+    it('stops at a NullPointerException and keeps the steps before it', () => {
+        const { steps, errors } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    public static void main(String[] args) {
+        Node head = new Node(1);
+        System.out.println(head.data);
+        System.out.println(head.next.data);
+        System.out.println("never");
+    }
+}`);
+        expect(printed(steps)).toEqual(['1']);
+        const last = steps[steps.length - 1];
+        expect(last).toMatchObject({ type: STEP_TYPES.EXCEPTION, reason: 'exception', lineIndex: 9 });
+        expect(last.description).toBe('Exception in thread "main" NullPointerException: Cannot read field "data" because "head.next" is null');
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ lineIndex: 9, runtime: true });
+    });
+
+    it('throws ArithmeticException on integer division by zero only', () => {
+        const { steps } = execute(`double d = 1.0 / 0;
+System.out.println(d);
+int zero = 0;
+int q = 1 / zero;`);
+        expect(printed(steps)).toEqual(['Infinity']);
+        expect(steps[steps.length - 1].description).toBe('Exception in thread "main" ArithmeticException: / by zero');
+    });
+});
+
+describe('method calls', () => {
+    it('gives every recursive call its own frame', () => {
+        const { steps, errors } = execute(`class Main {
+    static int fact(int n) {
+        if (n <= 1) return 1;
+        return n * fact(n - 1);
+    }
+    public static void main(String[] args) {
+        System.out.println(fact(4));
+    }
+}`);
+        expect(errors).toEqual([]);
+        expect(printed(steps)).toEqual(['24']);
+        const depths = steps.reduce((acc, step) => {
+            const depth = acc.depth + (step.type === STEP_TYPES.CALL) - (step.type === STEP_TYPES.RETURN);
+            return { depth, max: Math.max(acc.max, depth) };
+        }, { depth: 1, max: 1 });
+        expect(depths).toEqual({ depth: 1, max: 5 });
+    });
+});
@@ -4,14 +4,23 @@
  *
  * State shape:
  * {
- *   stack: { [varName]: address | null },
- *   heap:  { [address]: { data: number, next: address | null, id: string } },
+ *   frames: [{ id, method, vars: { [varName]: value }, types: { [varName]: type }, discarded? }],  // call stack, innermost last
+ *   heap:  { [address]: { id, className, fields: { [name]: value }, refFields: string[], fieldTypes: { [name]: type },
+ *                         garbageSince?: { step, lineIndex } } },  // set once no root can reach the node
  *   addressMap: { [varName]: address },   // maps var → address it was created with
  *   nextAddr: number,                      // counter for address generation
+ *   nextFrameId: number,                   // counter for frame ids
+ *   returnValue: *,                        // value produced by the last RETURN step (cleared by the next step)
+ *   results: [{ frame, value }],           // call results a frame has yet to use: join(mk(1), mk(2))
+ *   temps: [{ frame, address }],           // objects allocated as arguments or return values, not yet stored
+ *   stepIndex: number,                     // index of the last applied step (-1 = none)
+ *   changedVars: { frameId, names } | null, // variables written by the last step (for highlight)
+ *   changedField: { address, field } | null, // primitive field written by the last step (for highlight)
  * }
  */
 
 import { STEP_TYPES } from './parser';
+import { evaluate, coerce } from './evaluator';
 
 /** Generate a hex-style fake memory address */
 function makeAddress(counter) {
@@ -21,14 +30,30 @@ function makeAddress(counter) {
 /** Initial empty state */
 export function initialState() {
     return {
-        stack: {},
+        frames: [{ id: 0, method: 'main', vars: {}, types: {} }],
         heap: {},
         addressMap: {},
         nextAddr: 0,
+        nextFrameId: 1,
+        returnValue: null,
+        results: [],
+        temps: [],
+        stepIndex: -1,
+        changedVars: null,
+        changedField: null,
         lastModified: null, // address of last modified heap node (for highlight)
     };
 }
 
+/**
+ * The innermost (currently executing) stack frame.
+ * @param {object} state
+ * @returns {object} frame
+ */
+export function topFrame(state) {
+    return state.frames[state.frames.length - 1];
+}
+
 /**
  * Apply a single step to the current state.
  * Returns a NEW state object (immutable update).
@@ -37,61 +62,206 @@ export function initialState() {
  * @returns {object} newState
  */
 export function applyStep(state, step) {
+    const isCallBoundary = step.type === STEP_TYPES.CALL || step.type === STEP_TYPES.RETURN;
+    const frameId = topFrame(state).id;
     // Deep-clone state to keep immutability
     const s = {
-        stack: { ...state.stack },
+        frames: state.frames.map(f => ({ ...f, vars: { ...f.vars }, types: { ...f.types } })),
         heap: Object.fromEntries(
-            Object.entries(state.heap).map(([addr, node]) => [addr, { ...node }])
+            Object.entries(state.heap).map(([addr, node]) => [addr, { ...node, fields: { ...node.fields } }])
         ),
         addressMap: { ...state.addressMap },
         nextAddr: state.nextAddr,
+        nextFrameId: state.nextFrameId,
+        returnValue: null,
+        // A returned reference stays a root until the caller's next own step consumes it
+        results: isCallBoundary ? state.results : state.results.filter(r => r.frame !== frameId),
+        // Like results, an unstored object lives until its frame's next own step
+        temps: isCallBoundary || step.type === STEP_TYPES.CREATE_NODE
+            ? state.temps
+            : state.temps.filter(t => t.frame !== frameId),
+        stepIndex: state.stepIndex + 1,
+        changedVars: null,
+        changedField: null,
         lastModified: null,
     };
 
     switch (step.type) {
         case STEP_TYPES.CREATE_NODE: {
+            // Field initializers are evaluated in the creating frame
+            const fields = Object.fromEntries(
+                Object.entries(step.fields).map(([name, expr]) => [name, coerce(evaluate(expr, s), step.fieldTypes[name]) ?? null])
+            );
             const addr = makeAddress(s.nextAddr++);
-            s.heap[addr] = { data: step.value, next: null, id: addr };
-            s.stack[step.varName] = addr;
-            s.addressMap[step.varName] = addr;
+            s.heap[addr] = {
+                id: addr,
+                className: step.className,
+                fields,
+                refFields: step.refFields,
+                fieldTypes: step.fieldTypes,
+            };
+            // new ListNode(1, new ListNode(2)) — the inner object has no owner until the outer one is built
+            s.temps = step.target || step.varName
+                ? s.temps.filter(t => t.frame !== frameId)
+                : [...s.temps, { frame: frameId, address: addr }];
+            if (step.target) {
+                // Anonymous node linked straight into a field: a.next = new Node(v)
+                const ownerAddr = evaluate(step.target.object, s);
+                if (ownerAddr && s.heap[ownerAddr]) {
+                    s.heap[ownerAddr].fields[step.target.field] = addr;
+                }
+            } else if (step.varName) {
+                const frame = topFrame(s);
+                frame.vars[step.varName] = addr;
+                if (step.varType) frame.types[step.varName] = step.varType;
+                s.addressMap[step.varName] = addr;
+                s.changedVars = { frameId: frame.id, names: [step.varName] };
+            }
             s.lastModified = addr;
             break;
         }
 
         case STEP_TYPES.SET_NEXT: {
-            const fromAddr = s.stack[step.varName];
-            const toAddr = s.stack[step.targetVar];
+            const fromAddr = evaluate(step.target.object, s);
+            const toAddr = evaluate(step.source, s);
             if (fromAddr && s.heap[fromAddr]) {
-                s.heap[fromAddr] = { ...s.heap[fromAddr], next: toAddr ?? null };
+                s.heap[fromAddr].fields[step.target.field] = toAddr ?? null;
                 s.lastModified = fromAddr;
             }
             break;
         }
 
         case STEP_TYPES.SET_NULL: {
-            const addr = s.stack[step.varName];
+            const addr = evaluate(step.target.object, s);
             if (addr && s.heap[addr]) {
-                s.heap[addr] = { ...s.heap[addr], next: null };
+                s.heap[addr].fields[step.target.field] = null;
+                s.lastModified = addr;
+            }
+            break;
+        }
+
+        case STEP_TYPES.SET_FIELD: {
+            const addr = evaluate(step.target.object, s);
+            const node = addr ? s.heap[addr] : null;
+            if (node) {
+                const { field } = step.target;
+                node.fields[field] = coerce(evaluate(step.source, s), node.fieldTypes[field]) ?? null;
+                s.changedField = { address: addr, field };
                 s.lastModified = addr;
             }
             break;
         }
 
         case STEP_TYPES.ASSIGN_VAR: {
-            const srcAddr = s.stack[step.sourceVar];
-            s.stack[step.varName] = srcAddr ?? null;
+            const frame = topFrame(s);
+            if (step.varType) frame.types[step.varName] = step.varType;
+            // A declaration without initializer has no source: `int count;`
+            if (!step.source) {
+                frame.vars[step.varName] = undefined;
+                break;
+            }
+            const value = coerce(evaluate(step.source, s), frame.types[step.varName]);
+            frame.vars[step.varName] = value ?? null;
+            s.changedVars = { frameId: frame.id, names: [step.varName] };
             // Don't create a new heap entry — just point to the same one
-            s.lastModified = srcAddr ?? null;
+            s.lastModified = typeof value === 'string' && s.heap[value] ? value : null;
+            break;
+        }
+
+        case STEP_TYPES.CALL: {
+            // Arguments are evaluated in the caller's frame before the push
+            const values = step.args.map((arg, i) => coerce(evaluate(arg, s), step.paramTypes[i]));
+            const id = s.nextFrameId++;
+            s.frames.push({
+                id,
+                method: step.method,
+                vars: Object.fromEntries(step.params.map((name, i) => [name, values[i] ?? null])),
+                types: Object.fromEntries(step.params.map((name, i) => [name, step.paramTypes[i]])),
+                // printList(head);  — the caller ignores the return value
+                discarded: step.discarded,
+            });
+            s.changedVars = { frameId: id, names: step.params };
             break;
         }
 
+        case STEP_TYPES.RETURN: {
+            const value = step.value ? coerce(evaluate(step.value, s), step.returnType) : null;
+            const frame = s.frames.pop();
+            s.returnValue = frame.discarded ? null : value;
+            s.results = s.results.filter(r => r.frame !== frame.id);
+            s.temps = s.temps.filter(t => t.frame !== frame.id);
+            if (!frame.discarded) s.results = [...s.results, { frame: topFrame(s).id, value }];
+            break;
+        }
+
+        case STEP_TYPES.END_SCOPE: {
+            const frame = topFrame(s);
+            for (const name of step.names) {
+                delete frame.vars[name];
+                delete frame.types[name];
+            }
+            break;
+        }
+
+        case STEP_TYPES.EXCEPTION:
+            // Memory is left exactly as it was just before the crash
+            break;
+
+        case STEP_TYPES.GC_SWEEP:
+            for (const addr of garbageAddresses(s)) delete s.heap[addr];
+            break;
+
         default:
             break;
     }
 
+    // Nodes nothing can reach any more are garbage from this step on
+    const reachable = reachableAddresses(s);
+    for (const node of Object.values(s.heap)) {
+        if (!reachable.has(node.id) && !node.garbageSince) {
+            node.garbageSince = { step: s.stepIndex, lineIndex: step.lineIndex };
+        }
+    }
+
     return s;
 }
 
+/**
+ * Addresses reachable from the roots — every frame's variables, call
+ * results not yet used and pending constructor arguments — through any
+ * reference field.
+ * @param {object} state
+ * @returns {Set<string>}
+ */
+export function reachableAddresses(state) {
+    const { heap } = state;
+    const pending = [
+        ...state.frames.flatMap(f => Object.values(f.vars)),
+        ...state.results.map(r => r.value),
+        ...state.temps.map(t => t.address),
+    ];
+    const reachable = new Set();
+    while (pending.length > 0) {
+        const addr = pending.pop();
+        if (typeof addr !== 'string' || !heap[addr] || reachable.has(addr)) continue;
+        reachable.add(addr);
+        for (const field of heap[addr].refFields) pending.push(heap[addr].fields[field]);
+    }
+    return reachable;
+}
+
+/**
+ * Addresses of the nodes no root can reach, oldest garbage first.
+ * @param {object} state
+ * @returns {string[]}
+ */
+export function garbageAddresses(state) {
+    return Object.values(state.heap)
+        .filter(node => node.garbageSince)
+        .sort((a, b) => a.garbageSince.step - b.garbageSince.step)
+        .map(node => node.id);
+}
+
 /**
  * Replay all steps from 0..stepIndex to produce the state at that point.
  * @param {Array} steps
@@ -106,58 +276,77 @@ export function replaySteps(steps, stepIndex) {
     return state;
 }
 
+// Every CHECKPOINT_INTERVAL-th state is kept by a timeline
+const CHECKPOINT_INTERVAL = 64;
+
 /**
- * Build an ordered linked list chain starting from a given address.
- * Returns an array of addresses in order, stopping at null or on cycle detection.
- * @param {object} heap
- * @param {string} startAddr
- * @returns {string[]}
+ * The interpreter keeps every SEED_INTERVAL-th state it produces and hands
+ * them to the timeline, so even the last step of a long trace is a short
+ * replay away. A multiple of CHECKPOINT_INTERVAL.
  */
-export function buildChain(heap, startAddr) {
-    const visited = new Set();
-    const chain = [];
-    let cur = startAddr;
-    while (cur && heap[cur] && !visited.has(cur)) {
-        visited.add(cur);
-        chain.push(cur);
-        cur = heap[cur].next;
-    }
-    if (cur && visited.has(cur)) {
-        // Cycle detected — mark it
-        chain.push(`CYCLE:${cur}`);
-    }
-    return chain;
+export const SEED_INTERVAL = CHECKPOINT_INTERVAL * 8;
+
+/**
+ * Random access to the states of a trace without replaying from step 0.
+ * States are computed on demand. Every CHECKPOINT_INTERVAL-th state is kept,
+ * and so are all states of the block of steps last visited, so stepping
+ * forward or back inside a block is free and jumping anywhere costs at most
+ * CHECKPOINT_INTERVAL applySteps past the nearest checkpoint before it.
+ * `seeds` — states the interpreter kept while running — start the timeline
+ * with checkpoints spread over the whole trace.
+ * @param {Array} steps
+ * @param {Array} [seeds] — states at indices SEED_INTERVAL * n - 1
+ * @returns {{ stateAt: (index: number) => object }} index -1 = initial state
+ */
+export function createTimeline(steps, seeds = []) {
+    // checkpoints.get(k) = state at index k * CHECKPOINT_INTERVAL - 1
+    const checkpoints = new Map([[0, initialState()]]);
+    for (const seed of seeds) checkpoints.set((seed.stepIndex + 1) / CHECKPOINT_INTERVAL, seed);
+    // states[j] = state at index k * CHECKPOINT_INTERVAL - 1 + j
+    let block = { k: 0, states: [checkpoints.get(0)] };
+
+    const stateAt = index => {
+        index = Math.max(-1, Math.min(index, steps.length - 1));
+        const k = Math.floor((index + 1) / CHECKPOINT_INTERVAL);
+        const first = k * CHECKPOINT_INTERVAL - 1;
+
+        if (block.k !== k) {
+            // Walk from the nearest checkpoint to this block, keeping new checkpoints on the way
+            let known = k;
+            while (!checkpoints.has(known)) known--;
+            let state = checkpoints.get(known);
+            for (let i = known * CHECKPOINT_INTERVAL; i <= first; i++) {
+                state = applyStep(state, steps[i]);
+                if ((i + 1) % CHECKPOINT_INTERVAL === 0) checkpoints.set((i + 1) / CHECKPOINT_INTERVAL, state);
+            }
+            block = { k, states: [state] };
+        }
+
+        const { states } = block;
+        for (let i = first + states.length; i <= index; i++) {
+            states.push(applyStep(states[states.length - 1], steps[i]));
+        }
+        return states[index - first];
+    };
+
+    return { stateAt };
 }
 
 /**
- * Find the "head" variable — the stack variable whose address is not
- * pointed to by any other stack variable's heap node's next pointer.
- * Falls back to the first stack variable if none found.
- * @param {object} state
- * @returns {string|null} address of head node
+ * The reference field that chains nodes into a list: `next` when the class
+ * declares it, otherwise its first reference field.
+ * @param {object} node — heap entry
+ * @returns {string|null}
  */
-export function findHeadAddress(state) {
-    const { stack, heap } = state;
-    const allAddresses = Object.values(stack).filter(Boolean);
-    if (allAddresses.length === 0) return null;
-
-    // Collect all "next" addresses in the heap
-    const nextAddresses = new Set(
-        Object.values(heap).map(n => n.next).filter(Boolean)
-    );
-
-    // Head = an address in stack that is NOT pointed to by any next
-    const heads = allAddresses.filter(addr => !nextAddresses.has(addr));
-
-    // Deduplicate (multiple stack vars can point to same address)
-    const uniqueHeads = [...new Set(heads)];
-    return uniqueHeads[0] ?? allAddresses[0];
+export function linkField(node) {
+    if (!node) return null;
+    return node.refFields.includes('next') ? 'next' : node.refFields[0] ?? null;
 }
 
 /**
- * Get all stack variable names that point to a given address.
+ * Get all variable names in a frame that point to a given address.
  * Used to render head/tail/first/sec labels on node cards.
- * @param {object} stack  — { varName: address }
+ * @param {object} stack  — frame vars: { varName: address }
  * @param {string} address
  * @returns {string[]}    — e.g. ['head', 'first']
  */
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { execute } from './interpreter';
+import { STEP_TYPES } from './parser';
+import { createTimeline, replaySteps, SEED_INTERVAL } from './memoryModel';
+
+describe('garbage collection', () => {
+    it('keeps call results alive until the caller uses them', () => {
+        const { steps, errors } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    static Node mk(int v) { Node n = new Node(v); return n; }
+    static Node join(Node a, Node b) { a.next = b; return a; }
+    public static void main(String[] args) {
+        Node h = join(mk(1), mk(2));
+        System.gc();
+        System.out.println(h.next.data);
+    }
+}`);
+        expect(errors).toEqual([]);
+        expect(steps.find(step => step.type === STEP_TYPES.GC_SWEEP).freed).toEqual([]);
+        expect(steps.filter(step => step.type === STEP_TYPES.PRINT).map(step => step.text)).toEqual(['2']);
+        expect(steps.some(step => step.garbage)).toBe(false);
+    });
+
+    it('drops block locals as roots when the block ends', () => {
+        const { steps, errors } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    public static void main(String[] args) {
+        Node head = new Node(1);
+        head.next = new Node(2);
+        if (head != null) {
+            Node old = head;
+            head = head.next;
+            old.next = null;
+        }
+        System.gc();
+    }
+}`);
+        expect(errors).toEqual([]);
+        const end = steps.find(step => step.type === STEP_TYPES.END_SCOPE);
+        expect(end).toMatchObject({ names: ['old'], garbage: ['0x100'] });
+        expect(steps.find(step => step.type === STEP_TYPES.GC_SWEEP).freed).toEqual(['0x100']);
+        expect(Object.keys(replaySteps(steps, steps.length - 1).frames[0].vars)).toEqual(['head']);
+    });
+
+    it('keeps a for-init variable in scope for the whole loop only', () => {
+        const { steps } = execute(`class Main {
+    public static void main(String[] args) {
+        int total = 0;
+        for (int i = 0; i < 3; i++) {
+            int sq = i * i;
+            total += sq;
+        }
+    }
+}`);
+        const ends = steps.filter(step => step.type === STEP_TYPES.END_SCOPE).map(step => step.names);
+        expect(ends).toEqual([['sq'], ['sq'], ['sq'], ['i']]);
+        expect(replaySteps(steps, steps.length - 1).frames[0].vars).toEqual({ total: 5 });
+    });
+});
+
+describe('garbage detection', () => {
+    const run = (body, options) => execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    public static void main(String[] args) {
+${body}
+    }
+}`, options);
+
+    it('marks a node unlinked from the list as garbage at that step', () => {
+        const { steps } = run(`        Node head = new Node(1);
+        head.next = new Node(2);
+        head.next.next = new Node(3);
+        head.next = head.next.next;`);
+        const state = replaySteps(steps, steps.length - 1);
+        expect(state.heap['0x101'].garbageSince).toEqual({ step: 3, lineIndex: 10 });
+        expect(state.heap['0x102'].garbageSince).toBeUndefined();
+    });
+
+    it('treats a cycle no variable reaches as garbage', () => {
+        const { steps } = run(`        Node a = new Node(1);
+        a.next = new Node(2);
+        a.next.next = a;
+        a = null;`);
+        const { heap } = replaySteps(steps, steps.length - 1);
+        expect(Object.values(heap).map(node => Boolean(node.garbageSince))).toEqual([true, true]);
+    });
+
+    it('frees garbage on System.gc() and, when asked, at the end of the run', () => {
+        const { steps } = run(`        Node a = new Node(1);
+        a = new Node(2);
+        System.gc();
+        a = null;`, { gcSweep: true });
+        const sweeps = steps.filter(step => step.type === STEP_TYPES.GC_SWEEP);
+        expect(sweeps.map(step => step.freed)).toEqual([['0x100'], ['0x101']]);
+        expect(replaySteps(steps, steps.length - 1).heap).toEqual({});
+    });
+});
+
+describe('timeline', () => {
+    it('matches a full replay when started from the interpreter\'s seeds', () => {
+        const { steps, seeds } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    public static void main(String[] args) {
+        Node head = null;
+        for (int i = 0; i < 400; i++) {
+            head = new Node(i);
+        }
+    }
+}`);
+        expect(steps.length).toBeGreaterThan(SEED_INTERVAL * 2);
+        expect(seeds.length).toBe(Math.floor(steps.length / SEED_INTERVAL));
+        const timeline = createTimeline(steps, seeds);
+        for (const index of [steps.length - 1, SEED_INTERVAL - 1, SEED_INTERVAL + 5, 10, -1]) {
+            expect(timeline.stateAt(index)).toEqual(replaySteps(steps, index));
+        }
+    });
+});
@@ -1,128 +1,733 @@
 /**
  * parser.js
- * Parses simplified Java linked list code into an ordered array of steps.
+ * Recursive-descent parser for the subset of Java used in linked list exercises.
+ * The resulting AST is executed by interpreter.js.
+ *
+ * The AST is made of plain objects `{ type, ...fields, loc }` where
+ * `loc = { line, column, endLine, endColumn }` (0-indexed, end exclusive).
  *
  * Supported syntax:
- *   Node varName = new Node(value);
- *   varName.next = otherVar;
- *   varName.next = null;
- *   varName = otherVar;
+ *   class declarations with fields, constructors and methods
+ *   top-level statements (no class wrapper needed) or a `main` method
+ *   statements: blocks, local variables, if/else, while, do/while, for,
+ *               return, break, continue, expression statements
+ *   expressions: assignment, ?:, || && | ^ &, == !=, < > <= >=, + - * / %,
+ *                unary ! - + ++ --, casts, field access, calls, `new`, literals
  */
 
+import { tokenize, TOKEN_TYPES } from './tokenizer';
+
 // Step types
 export const STEP_TYPES = {
-    CREATE_NODE: 'CREATE_NODE',   // Node x = new Node(val)
-    SET_NEXT: 'SET_NEXT',         // x.next = y
-    SET_NULL: 'SET_NULL',         // x.next = null
-    ASSIGN_VAR: 'ASSIGN_VAR',     // x = y  (reference copy)
+    CREATE_NODE: 'CREATE_NODE',   // Node x = new Node(val),  a.next = new Node(v, b)
+    SET_NEXT: 'SET_NEXT',         // x.next = y,  a.next.next = b.next,  x.prev = y  (any reference field)
+    SET_NULL: 'SET_NULL',         // x.next = null,  a.next.next = null
+    SET_FIELD: 'SET_FIELD',       // x.data = 5,  cur.data = cur.data * 2  (any primitive field)
+    ASSIGN_VAR: 'ASSIGN_VAR',     // x = y,  int count = 0,  count++
+    CONDITION: 'CONDITION',       // while (cond) / for (...; cond; ...)
+    BRANCH: 'BRANCH',             // if (cond) ... else ...
+    CALL: 'CALL',                 // reverse(head)  (push frame)
+    RETURN: 'RETURN',             // return x;  (pop frame)
+    EXCEPTION: 'EXCEPTION',       // NullPointerException, ArithmeticException  (ends the run)
+    GC_SWEEP: 'GC_SWEEP',         // System.gc()  (free every unreachable node)
+    END_SCOPE: 'END_SCOPE',       // }  (locals declared in the block go out of scope)
+    PRINT: 'PRINT',               // System.out.print(x),  System.out.println("a" + x)
     COMMENT: 'COMMENT',           // blank / comment line (skip)
 };
 
-/**
- * Parse Java code string into an array of step objects.
- * @param {string} code
- * @returns {{ steps: Array, errors: Array }}
- */
-export function parseCode(code) {
-    const lines = code.split('\n');
-    const steps = [];
-    const errors = [];
-
-    // Regex patterns for lines to SKIP (Java boilerplate, not linked list logic)
-    const SKIP_PATTERNS = [
-        /^\s*(\/\/.*)?$/,                                 // blank or comment
-        /^\s*\{?\s*\}?\s*$/,                              // lone braces {} or { or }
-        /^\s*class\s+\w+/,                                // class Node { ... class Main {
-        /^\s*(public|private|protected)\s+(static\s+)?/,  // public static void main(...)
-        /^\s*(int|String|Node|void|boolean)\s+\w+\s*;/,  // field declarations: int data; Node next;
-        /^\s*\w+\s*\(\s*(int|String|Node)\s+\w+\s*\)/,   // constructor signature: Node(int data)
-        /^\s*this\.\w+\s*=/,                              // this.data = data; this.next = null;
-        /^\s*return\b/,                                   // return statements
-        /^\s*\}\s*$/,                                     // closing brace
-        /^\s*\{\s*$/,                                     // opening brace
-        /^\s*import\s+/,                                  // import statements
-        /^\s*package\s+/,                                 // package declarations
-    ];
-
-    lines.forEach((line, index) => {
-        const lineNum = index; // 0-indexed
-
-        // Skip boilerplate / blank / comment lines
-        if (SKIP_PATTERNS.some(re => re.test(line))) {
-            return;
+export const PRIMITIVE_TYPES = new Set(['int', 'long', 'short', 'byte', 'double', 'float', 'boolean', 'char']);
+
+const MODIFIERS = new Set(['public', 'private', 'protected', 'static', 'final', 'abstract']);
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=']);
+
+// Binary operator precedence (higher binds tighter)
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '+': 8, '-': 8,
+    '*': 9, '/': 9, '%': 9,
+};
+
+/** Thrown inside the parser; caught at statement/member level for recovery. */
+class ParseError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.token = token;
+    }
+}
+
+// ── Token cursor helpers ───────────────────────────────────────────────────
+
+function peek(p, offset = 0) {
+    return p.tokens[Math.min(p.pos + offset, p.tokens.length - 1)];
+}
+
+function next(p) {
+    const tok = peek(p);
+    if (tok.type !== TOKEN_TYPES.EOF) p.pos++;
+    p.last = tok;
+    return tok;
+}
+
+function is(p, value, offset = 0) {
+    const tok = peek(p, offset);
+    return tok.type !== TOKEN_TYPES.STRING && tok.type !== TOKEN_TYPES.CHAR && tok.value === value;
+}
+
+function accept(p, value) {
+    if (is(p, value)) return next(p);
+    return null;
+}
+
+function expect(p, value) {
+    if (is(p, value)) return next(p);
+    // javac reports a missing ';' at the end of the previous token
+    const tok = peek(p);
+    const at = value === ';' && p.last ? { ...p.last, column: p.last.endColumn, endColumn: p.last.endColumn + 1 } : tok;
+    throw new ParseError(`'${value}' expected`, at);
+}
+
+function expectIdent(p) {
+    const tok = peek(p);
+    if (tok.type !== TOKEN_TYPES.IDENT) throw new ParseError('<identifier> expected', tok);
+    return next(p);
+}
+
+function span(start, end) {
+    return { line: start.line, column: start.column, endLine: end.line, endColumn: end.endColumn };
+}
+
+function finish(p, node, startTok) {
+    node.loc = span(startTok, p.last ?? startTok);
+    return node;
+}
+
+/** Skip ahead to a likely statement boundary after a parse error. */
+function synchronize(p) {
+    let depth = 0;
+    while (peek(p).type !== TOKEN_TYPES.EOF) {
+        // Leave the closing brace for the enclosing block
+        if (depth === 0 && is(p, '}')) return;
+        const tok = next(p);
+        if (tok.value === '{') depth++;
+        else if (tok.value === '}') depth--;
+        else if (tok.value === ';' && depth === 0) return;
+    }
+}
+
+// ── Types ──────────────────────────────────────────────────────────────────
+
+function isTypeStart(tok) {
+    return tok.type === TOKEN_TYPES.IDENT || PRIMITIVE_TYPES.has(tok.value) || tok.value === 'void';
+}
+
+/** Number of tokens a type occupies at `offset` (0 if there is no type there). */
+function typeLength(p, offset = 0) {
+    if (!isTypeStart(peek(p, offset))) return 0;
+    let len = 1;
+    // Qualified names: java.util.List
+    while (is(p, '.', offset + len) && peek(p, offset + len + 1).type === TOKEN_TYPES.IDENT) len += 2;
+    // Generic arguments: List<Integer>
+    if (is(p, '<', offset + len)) {
+        let depth = 0;
+        do {
+            const v = peek(p, offset + len).value;
+            if (v === '<') depth++;
+            if (v === '>') depth--;
+            if (v === '>>') depth -= 2;
+            if (peek(p, offset + len).type === TOKEN_TYPES.EOF) return 0;
+            len++;
+        } while (depth > 0);
+    }
+    while (is(p, '[', offset + len) && is(p, ']', offset + len + 1)) len += 2;
+    return len;
+}
+
+function parseType(p) {
+    const len = typeLength(p);
+    if (len === 0) throw new ParseError('<identifier> expected', peek(p));
+    let name = '';
+    for (let i = 0; i < len; i++) name += next(p).value;
+    return name;
+}
+
+function parseModifiers(p) {
+    const modifiers = [];
+    while (MODIFIERS.has(peek(p).value) || is(p, '@')) {
+        if (accept(p, '@')) {
+            // Annotations like @Override are accepted and ignored
+            expectIdent(p);
+            continue;
+        }
+        modifiers.push(next(p).value);
+    }
+    return modifiers;
+}
+
+// ── Declarations ───────────────────────────────────────────────────────────
+
+function parseProgram(p) {
+    const program = { type: 'Program', classes: [], methods: [], body: [] };
+    const start = peek(p);
+
+    while (peek(p).type !== TOKEN_TYPES.EOF) {
+        try {
+            if (is(p, 'package') || is(p, 'import')) {
+                while (!is(p, ';') && peek(p).type !== TOKEN_TYPES.EOF) next(p);
+                expect(p, ';');
+                continue;
+            }
+
+            const startTok = peek(p);
+            const modifiers = parseModifiers(p);
+
+            if (is(p, 'class')) {
+                parseClass(p, modifiers, startTok, program.classes);
+            } else if (isMethodStart(p)) {
+                program.methods.push(parseMethod(p, modifiers, startTok));
+            } else if (modifiers.length > 0) {
+                throw new ParseError('class, method or field declaration expected', peek(p));
+            } else {
+                program.body.push(parseStatement(p));
+            }
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            p.errors.push(toError(err));
+            synchronize(p);
+            // A stray closing brace at top level would otherwise loop forever
+            accept(p, '}');
+        }
+    }
+
+    return finish(p, program, start);
+}
+
+/** type name '(' — a method declaration rather than a statement */
+function isMethodStart(p) {
+    const len = typeLength(p);
+    return len > 0 && peek(p, len).type === TOKEN_TYPES.IDENT && is(p, '(', len + 1);
+}
+
+/** Parses a class; nested classes are flattened into `classes`. */
+function parseClass(p, modifiers, startTok, classes) {
+    expect(p, 'class');
+    const name = expectIdent(p).value;
+    const decl = { type: 'ClassDecl', name, modifiers, fields: [], constructors: [], methods: [] };
+    classes.push(decl);
+
+    if (accept(p, 'extends')) parseType(p);
+    if (accept(p, 'implements')) {
+        do parseType(p); while (accept(p, ','));
+    }
+    expect(p, '{');
+
+    while (!is(p, '}') && peek(p).type !== TOKEN_TYPES.EOF) {
+        try {
+            const memberStart = peek(p);
+            const memberMods = parseModifiers(p);
+
+            if (accept(p, ';')) continue;
+
+            if (is(p, 'class')) {
+                parseClass(p, memberMods, memberStart, classes);
+            } else if (is(p, name) && is(p, '(', 1)) {
+                decl.constructors.push(parseConstructor(p, memberMods, memberStart));
+            } else if (isMethodStart(p)) {
+                decl.methods.push(parseMethod(p, memberMods, memberStart));
+            } else {
+                const fieldType = parseType(p);
+                do {
+                    const nameTok = expectIdent(p);
+                    const init = accept(p, '=') ? parseExpression(p) : null;
+                    decl.fields.push(finish(p, {
+                        type: 'FieldDecl', varType: fieldType, name: nameTok.value, modifiers: memberMods, init,
+                    }, memberStart));
+                } while (accept(p, ','));
+                expect(p, ';');
+            }
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            p.errors.push(toError(err));
+            synchronize(p);
+        }
+    }
+
+    expect(p, '}');
+    return finish(p, decl, startTok);
+}
+
+function parseParams(p) {
+    const params = [];
+    expect(p, '(');
+    if (!is(p, ')')) {
+        do {
+            const start = peek(p);
+            parseModifiers(p);
+            const varType = parseType(p);
+            const name = expectIdent(p).value;
+            params.push(finish(p, { type: 'Param', varType, name }, start));
+        } while (accept(p, ','));
+    }
+    expect(p, ')');
+    if (accept(p, 'throws')) {
+        do parseType(p); while (accept(p, ','));
+    }
+    return params;
+}
+
+function parseConstructor(p, modifiers, startTok) {
+    const name = expectIdent(p).value;
+    const params = parseParams(p);
+    const body = parseBlock(p);
+    return finish(p, { type: 'ConstructorDecl', name, modifiers, params, body }, startTok);
+}
+
+function parseMethod(p, modifiers, startTok) {
+    const returnType = parseType(p);
+    const name = expectIdent(p).value;
+    const params = parseParams(p);
+    const body = parseBlock(p);
+    return finish(p, { type: 'MethodDecl', name, modifiers, returnType, params, body }, startTok);
+}
+
+// ── Statements ─────────────────────────────────────────────────────────────
+
+function parseBlock(p) {
+    const start = expect(p, '{');
+    const body = [];
+    while (!is(p, '}') && peek(p).type !== TOKEN_TYPES.EOF) {
+        try {
+            body.push(parseStatement(p));
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            p.errors.push(toError(err));
+            synchronize(p);
         }
+    }
+    expect(p, '}');
+    return finish(p, { type: 'Block', body }, start);
+}
+
+/** Type followed by an identifier starts a local variable declaration. */
+function isVarDeclStart(p) {
+    let offset = 0;
+    while (is(p, 'final', offset)) offset++;
+    const len = typeLength(p, offset);
+    return len > 0 && peek(p, offset + len).type === TOKEN_TYPES.IDENT;
+}
+
+function parseVarDecl(p) {
+    const start = peek(p);
+    while (accept(p, 'final'));
+    const varType = parseType(p);
+    const declarators = [];
+    do {
+        const nameTok = expectIdent(p);
+        const init = accept(p, '=') ? parseExpression(p) : null;
+        declarators.push(finish(p, { type: 'Declarator', name: nameTok.value, init }, nameTok));
+    } while (accept(p, ','));
+    return finish(p, { type: 'VarDecl', varType, declarators }, start);
+}
 
-        // Regex patterns for linked list operations
-        const RE_CREATE = /^\s*Node\s+(\w+)\s*=\s*new\s+Node\s*\(\s*(-?\d+)\s*\)\s*;?\s*$/;
-        const RE_SET_NULL = /^\s*(\w+)\.next\s*=\s*null\s*;?\s*$/;
-        const RE_SET_NEXT = /^\s*(\w+)\.next\s*=\s*(\w+)\s*;?\s*$/;
-        const RE_ASSIGN = /^\s*Node\s+(\w+)\s*=\s*(\w+)\s*;?\s*$/;
-        const RE_REASSIGN = /^\s*(\w+)\s*=\s*(\w+)\s*;?\s*$/;
-
-        let match;
-
-        // Node x = new Node(val);
-        if ((match = RE_CREATE.exec(line))) {
-            steps.push({
-                type: STEP_TYPES.CREATE_NODE,
-                lineIndex: lineNum,
-                varName: match[1],
-                value: parseInt(match[2], 10),
-                description: `Create Node(${match[2]}) → assign to \`${match[1]}\``,
-            });
-            return;
+function parseStatement(p) {
+    const start = peek(p);
+
+    if (is(p, '{')) return parseBlock(p);
+
+    if (accept(p, ';')) return finish(p, { type: 'Empty' }, start);
+
+    if (accept(p, 'if')) {
+        const test = parseParenExpression(p);
+        const consequent = parseStatement(p);
+        const alternate = accept(p, 'else') ? parseStatement(p) : null;
+        return finish(p, { type: 'If', test, consequent, alternate }, start);
+    }
+
+    if (accept(p, 'while')) {
+        const test = parseParenExpression(p);
+        const body = parseStatement(p);
+        return finish(p, { type: 'While', test, body }, start);
+    }
+
+    if (accept(p, 'do')) {
+        const body = parseStatement(p);
+        expect(p, 'while');
+        const test = parseParenExpression(p);
+        expect(p, ';');
+        return finish(p, { type: 'DoWhile', test, body }, start);
+    }
+
+    if (accept(p, 'for')) {
+        expect(p, '(');
+        const init = [];
+        if (!is(p, ';')) {
+            if (isVarDeclStart(p)) {
+                init.push(parseVarDecl(p));
+            } else {
+                do {
+                    const exprStart = peek(p);
+                    init.push(finish(p, { type: 'ExprStmt', expression: parseExpression(p) }, exprStart));
+                } while (accept(p, ','));
+            }
+        }
+        expect(p, ';');
+        const test = is(p, ';') ? null : parseExpression(p);
+        expect(p, ';');
+        const update = [];
+        if (!is(p, ')')) {
+            do {
+                const exprStart = peek(p);
+                update.push(finish(p, { type: 'ExprStmt', expression: parseExpression(p) }, exprStart));
+            } while (accept(p, ','));
         }
+        expect(p, ')');
+        const body = parseStatement(p);
+        return finish(p, { type: 'For', init, test, update, body }, start);
+    }
+
+    if (accept(p, 'return')) {
+        const argument = is(p, ';') ? null : parseExpression(p);
+        expect(p, ';');
+        return finish(p, { type: 'Return', argument }, start);
+    }
+
+    if (accept(p, 'break')) {
+        expect(p, ';');
+        return finish(p, { type: 'Break' }, start);
+    }
+
+    if (accept(p, 'continue')) {
+        expect(p, ';');
+        return finish(p, { type: 'Continue' }, start);
+    }
+
+    if (is(p, 'else')) throw new ParseError("'else' without 'if'", start);
+
+    if (isVarDeclStart(p)) {
+        const decl = parseVarDecl(p);
+        expect(p, ';');
+        return finish(p, decl, start);
+    }
+
+    const expression = parseExpression(p);
+    if (!['Assign', 'Update', 'Call', 'New'].includes(expression.type)) {
+        throw new ParseError('not a statement', start);
+    }
+    expect(p, ';');
+    return finish(p, { type: 'ExprStmt', expression }, start);
+}
+
+// ── Expressions ────────────────────────────────────────────────────────────
+
+function parseParenExpression(p) {
+    expect(p, '(');
+    const expr = parseExpression(p);
+    expect(p, ')');
+    return expr;
+}
+
+function parseExpression(p) {
+    const start = peek(p);
+    const target = parseConditional(p);
 
-        // x.next = null;
-        if ((match = RE_SET_NULL.exec(line))) {
-            steps.push({
-                type: STEP_TYPES.SET_NULL,
-                lineIndex: lineNum,
-                varName: match[1],
-                description: `Set \`${match[1]}.next\` = null`,
-            });
-            return;
+    if (peek(p).type === TOKEN_TYPES.OP && ASSIGN_OPS.has(peek(p).value)) {
+        if (!['Name', 'FieldAccess', 'Index'].includes(target.type)) {
+            throw new ParseError('unexpected type: required variable, found value', start);
         }
+        const op = next(p).value;
+        const value = parseExpression(p);
+        return finish(p, { type: 'Assign', op, target, value }, start);
+    }
 
-        // x.next = y;
-        if ((match = RE_SET_NEXT.exec(line))) {
-            steps.push({
-                type: STEP_TYPES.SET_NEXT,
-                lineIndex: lineNum,
-                varName: match[1],
-                targetVar: match[2],
-                description: `Link \`${match[1]}.next\` → \`${match[2]}\``,
-            });
-            return;
+    return target;
+}
+
+function parseConditional(p) {
+    const start = peek(p);
+    const test = parseBinary(p, 1);
+    if (!accept(p, '?')) return test;
+    const consequent = parseExpression(p);
+    expect(p, ':');
+    const alternate = parseConditional(p);
+    return finish(p, { type: 'Conditional', test, consequent, alternate }, start);
+}
+
+function parseBinary(p, minPrec) {
+    const start = peek(p);
+    let left = parseUnary(p);
+
+    for (;;) {
+        const tok = peek(p);
+        const prec = tok.type === TOKEN_TYPES.OP ? BINARY_PRECEDENCE[tok.value] : undefined;
+        if (prec === undefined || prec < minPrec) return left;
+        next(p);
+        const right = parseBinary(p, prec + 1);
+        left = finish(p, { type: 'Binary', op: tok.value, left, right }, start);
+    }
+}
+
+function parseUnary(p) {
+    const start = peek(p);
+
+    if (is(p, '++') || is(p, '--')) {
+        const op = next(p).value;
+        const target = parseUnary(p);
+        return finish(p, { type: 'Update', op, prefix: true, target }, start);
+    }
+
+    if (is(p, '!') || is(p, '-') || is(p, '+') || is(p, '~')) {
+        const op = next(p).value;
+        const operand = parseUnary(p);
+        return finish(p, { type: 'Unary', op, operand }, start);
+    }
+
+    // Cast to a primitive type: (int) x
+    if (is(p, '(') && PRIMITIVE_TYPES.has(peek(p, 1).value) && is(p, ')', 2)) {
+        next(p);
+        const castType = next(p).value;
+        next(p);
+        const operand = parseUnary(p);
+        return finish(p, { type: 'Cast', castType, operand }, start);
+    }
+
+    return parsePostfix(p);
+}
+
+function parsePostfix(p) {
+    const start = peek(p);
+    let expr = parsePrimary(p);
+
+    for (;;) {
+        if (accept(p, '.')) {
+            const name = expectIdent(p).value;
+            if (is(p, '(')) {
+                const args = parseArguments(p);
+                expr = finish(p, { type: 'Call', object: expr, name, args }, start);
+            } else {
+                expr = finish(p, { type: 'FieldAccess', object: expr, field: name }, start);
+            }
+        } else if (accept(p, '[')) {
+            const index = parseExpression(p);
+            expect(p, ']');
+            expr = finish(p, { type: 'Index', object: expr, index }, start);
+        } else if (is(p, '++') || is(p, '--')) {
+            const op = next(p).value;
+            expr = finish(p, { type: 'Update', op, prefix: false, target: expr }, start);
+        } else {
+            return expr;
         }
+    }
+}
+
+function parseArguments(p) {
+    const args = [];
+    expect(p, '(');
+    if (!is(p, ')')) {
+        do args.push(parseExpression(p)); while (accept(p, ','));
+    }
+    expect(p, ')');
+    return args;
+}
+
+/** Decode the escape sequences of a string or char literal body. */
+function unescape(raw) {
+    const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', 0: '\0', '\\': '\\', "'": "'", '"': '"' };
+    return raw.replace(/\\(.)/g, (_, c) => ESCAPES[c] ?? c);
+}
+
+/** Java type of a numeric literal: 2.5f is a float, 3L a long, 1e3 a double. */
+function numberType(raw) {
+    if (/[lL]$/.test(raw)) return 'long';
+    if (/^0[xX]/.test(raw)) return 'int';
+    if (/[fF]$/.test(raw)) return 'float';
+    return /[.eEdD]/.test(raw) ? 'double' : 'int';
+}
 
-        // Node x = y;  (declare + assign reference)
-        if ((match = RE_ASSIGN.exec(line))) {
-            steps.push({
-                type: STEP_TYPES.ASSIGN_VAR,
-                lineIndex: lineNum,
-                varName: match[1],
-                sourceVar: match[2],
-                description: `Declare \`${match[1]}\` → points to same node as \`${match[2]}\``,
-            });
-            return;
+function parsePrimary(p) {
+    const tok = peek(p);
+
+    switch (tok.type) {
+        case TOKEN_TYPES.NUMBER: {
+            next(p);
+            const raw = tok.value.replace(/_/g, '');
+            const valueType = numberType(raw);
+            const value = valueType === 'double' || valueType === 'float' ? parseFloat(raw) : parseInt(raw, 10);
+            return finish(p, { type: 'Literal', valueType, value, raw: tok.value }, tok);
+        }
+        case TOKEN_TYPES.STRING:
+            next(p);
+            return finish(p, { type: 'Literal', valueType: 'String', value: unescape(tok.value.slice(1, -1)), raw: tok.value }, tok);
+        case TOKEN_TYPES.CHAR: {
+            next(p);
+            const value = unescape(tok.value.slice(1, -1));
+            if (value.length !== 1) throw new ParseError('unclosed character literal', tok);
+            return finish(p, { type: 'Literal', valueType: 'char', value, raw: tok.value }, tok);
         }
+        case TOKEN_TYPES.IDENT: {
+            next(p);
+            if (is(p, '(')) {
+                const args = parseArguments(p);
+                return finish(p, { type: 'Call', object: null, name: tok.value, args }, tok);
+            }
+            return finish(p, { type: 'Name', name: tok.value }, tok);
+        }
+        default:
+            break;
+    }
+
+    if (accept(p, 'true') || accept(p, 'false')) {
+        return finish(p, { type: 'Literal', valueType: 'boolean', value: tok.value === 'true', raw: tok.value }, tok);
+    }
 
-        // x = y;  (reassign existing variable)
-        if ((match = RE_REASSIGN.exec(line))) {
-            steps.push({
-                type: STEP_TYPES.ASSIGN_VAR,
-                lineIndex: lineNum,
-                varName: match[1],
-                sourceVar: match[2],
-                description: `Reassign \`${match[1]}\` → points to same node as \`${match[2]}\``,
-            });
-            return;
+    if (accept(p, 'null')) {
+        return finish(p, { type: 'Literal', valueType: 'null', value: null, raw: 'null' }, tok);
+    }
+
+    if (accept(p, 'this') || accept(p, 'super')) {
+        // Explicit constructor invocation: this(v, null);  super();
+        if (is(p, '(')) {
+            const args = parseArguments(p);
+            return finish(p, { type: 'Call', object: null, name: tok.value, args }, tok);
         }
+        if (tok.value === 'super') throw new ParseError('super is not supported', tok);
+        return finish(p, { type: 'This' }, tok);
+    }
+
+    if (accept(p, 'new')) {
+        const className = parseType(p);
+        const args = parseArguments(p);
+        return finish(p, { type: 'New', className, args }, tok);
+    }
+
+    if (accept(p, '(')) {
+        const expr = parseExpression(p);
+        expect(p, ')');
+        return expr;
+    }
+
+    throw new ParseError(tok.type === TOKEN_TYPES.EOF ? 'reached end of file while parsing' : 'illegal start of expression', tok);
+}
+
+function toError(err) {
+    return {
+        lineIndex: err.token.line,
+        column: err.token.column,
+        endColumn: Math.max(err.token.endColumn, err.token.column + 1),
+        message: err.message,
+    };
+}
+
+/**
+ * Parse Java code into an AST.
+ * @param {string} code
+ * @returns {{ program: object, errors: Array }}
+ */
+export function parse(code) {
+    const { tokens, errors } = tokenize(code);
+    const p = { tokens, pos: 0, last: null, errors };
+    const program = parseProgram(p);
+    return { program, errors };
+}
+
+/**
+ * Parse a single expression on its own, e.g. a breakpoint condition.
+ * @param {string} code
+ * @returns {{ expression: object|null, errors: Array }}
+ */
+export function parseStandaloneExpression(code) {
+    const { tokens, errors } = tokenize(code);
+    const p = { tokens, pos: 0, last: null, errors };
+    try {
+        const expression = parseExpression(p);
+        const tok = peek(p);
+        if (tok.type !== TOKEN_TYPES.EOF) throw new ParseError(`unexpected '${tok.value}'`, tok);
+        return { expression, errors };
+    } catch (err) {
+        if (!(err instanceof ParseError)) throw err;
+        return { expression: null, errors: [...errors, toError(err)] };
+    }
+}
+
+// ── AST helpers ────────────────────────────────────────────────────────────
+
+/** Source text covered by a node's `loc`. */
+export function sourceOf(code, loc) {
+    const lines = code.split('\n');
+    if (loc.line === loc.endLine) return lines[loc.line].slice(loc.column, loc.endColumn);
+    return [
+        lines[loc.line].slice(loc.column),
+        ...lines.slice(loc.line + 1, loc.endLine),
+        lines[loc.endLine].slice(0, loc.endColumn),
+    ].map(l => l.trim()).join(' ');
+}
 
-        // Unrecognized line
-        errors.push({ lineIndex: lineNum, message: `Unrecognized syntax: "${line.trim()}"` });
-    });
+/**
+ * Statements to execute: the body of `main` if one is declared,
+ * otherwise the top-level statements.
+ */
+export function findEntryPoint(program) {
+    const methods = [...program.methods, ...program.classes.flatMap(c => c.methods)];
+    const main = methods.find(m => m.name === 'main');
+    return main ? main.body.body : program.body;
+}
 
-    return { steps, errors };
+/**
+ * Render an expression node back to normalized Java source,
+ * e.g. for step descriptions.
+ * @param {object} expr
+ * @returns {string}
+ */
+export function formatExpression(expr) {
+    const wrap = (child, prec) => {
+        const text = formatExpression(child);
+        const childPrec = child.type === 'Binary' ? BINARY_PRECEDENCE[child.op]
+            : child.type === 'Conditional' || child.type === 'Assign' ? 0
+                : Infinity;
+        return childPrec < prec ? `(${text})` : text;
+    };
+
+    switch (expr.type) {
+        case 'Literal':
+            return expr.raw;
+        case 'Value':
+            return formatExpression(expr.original);
+        case 'Name':
+            return expr.name;
+        case 'This':
+            return 'this';
+        case 'FieldAccess':
+            return `${wrap(expr.object, Infinity)}.${expr.field}`;
+        case 'Index':
+            return `${wrap(expr.object, Infinity)}[${formatExpression(expr.index)}]`;
+        case 'Call': {
+            const args = expr.args.map(formatExpression).join(', ');
+            return expr.object ? `${wrap(expr.object, Infinity)}.${expr.name}(${args})` : `${expr.name}(${args})`;
+        }
+        case 'New':
+            return `new ${expr.className}(${expr.args.map(formatExpression).join(', ')})`;
+        case 'Binary': {
+            const prec = BINARY_PRECEDENCE[expr.op];
+            return `${wrap(expr.left, prec)} ${expr.op} ${wrap(expr.right, prec + 1)}`;
+        }
+        case 'Unary':
+            return `${expr.op}${wrap(expr.operand, Infinity)}`;
+        case 'Cast':
+            return `(${expr.castType}) ${wrap(expr.operand, Infinity)}`;
+        case 'Update':
+            return expr.prefix
+                ? `${expr.op}${formatExpression(expr.target)}`
+                : `${formatExpression(expr.target)}${expr.op}`;
+        case 'Assign':
+            return `${formatExpression(expr.target)} ${expr.op} ${formatExpression(expr.value)}`;
+        case 'Conditional':
+            return `${wrap(expr.test, 1)} ? ${formatExpression(expr.consequent)} : ${formatExpression(expr.alternate)}`;
+        default:
+            return '?';
+    }
 }
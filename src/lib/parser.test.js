@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { parse, parseStandaloneExpression, findEntryPoint, formatExpression, sourceOf } from './parser';
+
+const literal = code => {
+    const { expression } = parseStandaloneExpression(code);
+    return { valueType: expression.valueType, value: expression.value };
+};
+
+describe('numeric literals', () => {
+    it.each([
+        ['42', 'int', 42],
+        ['3000000000L', 'long', 3000000000],
+        ['2.5f', 'float', 2.5],
+        ['3F', 'float', 3],
+        ['2.5', 'double', 2.5],
+        ['1e3', 'double', 1000],
+        ['4d', 'double', 4],
+        ['1_000', 'int', 1000],
+    ])('types %s as %s', (code, valueType, value) => {
+        expect(literal(code)).toEqual({ valueType, value });
+    });
+});
+
+describe('statements', () => {
+    const mainBody = code => {
+        const { program, errors } = parse(code);
+        expect(errors).toEqual([]);
+        return findEntryPoint(program);
+    };
+
+    it('parses several statements on one line, each with its own span', () => {
+        const body = mainBody('int a = 1; int b = 2; a = b;');
+        expect(body.map(stmt => [stmt.type, stmt.loc.line, stmt.loc.column, stmt.loc.endColumn])).toEqual([
+            ['VarDecl', 0, 0, 10],
+            ['VarDecl', 0, 11, 21],
+            ['ExprStmt', 0, 22, 28],
+        ]);
+    });
+
+    it('parses a statement split across lines', () => {
+        const code = 'int total = 1 +\n    2 *\n    3;';
+        const [decl] = mainBody(code);
+        expect(decl.loc).toMatchObject({ line: 0, endLine: 2 });
+        expect(sourceOf(code, decl.loc)).toBe('int total = 1 + 2 * 3;');
+        expect(formatExpression(decl.declarators[0].init)).toBe('1 + 2 * 3');
+    });
+
+    it('ignores trailing and block comments', () => {
+        expect(mainBody('int a = 1; // one\n/* two\n*/ a++;').map(stmt => stmt.type)).toEqual(['VarDecl', 'ExprStmt']);
+    });
+
+    it('takes the body of main over top-level statements', () => {
+        const body = mainBody(`class Main {
+    public static void main(String[] args) { int x = 1; }
+}`);
+        expect(body.map(stmt => stmt.type)).toEqual(['VarDecl']);
+    });
+});
+
+describe('expressions', () => {
+    const format = code => formatExpression(parseStandaloneExpression(code).expression);
+
+    it('respects precedence and associativity', () => {
+        expect(format('a + b * c')).toBe('a + b * c');
+        expect(format('(a + b) * c')).toBe('(a + b) * c');
+        expect(format('a - (b - c)')).toBe('a - (b - c)');
+        expect(format('a || b && c == d')).toBe('a || b && c == d');
+        expect(parseStandaloneExpression('a - b - c').expression.left).toMatchObject({ type: 'Binary', op: '-' });
+    });
+
+    it('parses field chains, calls, new and casts', () => {
+        expect(format('head.next.next.data')).toBe('head.next.next.data');
+        expect(format('reverse(head.next)')).toBe('reverse(head.next)');
+        expect(format('new Node(1, null)')).toBe('new Node(1, null)');
+        expect(parseStandaloneExpression('(int) x').expression).toMatchObject({ type: 'Cast', castType: 'int' });
+    });
+
+    it('reports trailing input', () => {
+        expect(parseStandaloneExpression('a b').errors.map(e => e.message)).toEqual(["unexpected 'b'"]);
+    });
+});
+
+describe('error recovery', () => {
+    it('reports a broken statement and keeps parsing the next one', () => {
+        const { program, errors } = parse('int a = ;\nint b = 2;');
+        expect(errors.map(e => e.lineIndex)).toEqual([0]);
+        expect(program.body.map(stmt => stmt.declarators?.[0].name)).toContain('b');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * runner.js
+ * Runs programs in a Web Worker so a long or runaway run never blocks
+ * typing. Each run replaces the previous one: a worker still busy with old
+ * code is terminated rather than waited for, so only the latest result is
+ * ever delivered. A worker that outlives its time budget by WATCHDOG_GRACE
+ * is terminated too, in case the interpreter itself never checks the clock.
+ *
+ * Without Worker support (e.g. under Node) runs happen synchronously.
+ */
+
+import { execute, DEFAULT_TIME_LIMIT } from './interpreter';
+
+const WATCHDOG_GRACE = 2000; // ms, room for posting a long trace back
+
+/**
+ * @param {(result: { steps: Array, errors: Array }) => void} onResult
+ * @returns {{ run: (code: string, options?: object) => void, dispose: () => void }}
+ */
+export function createRunner(onResult) {
+    let worker = null;
+    let busy = false;
+    let watchdog = null;
+
+    const finish = (result) => {
+        clearTimeout(watchdog);
+        busy = false;
+        onResult(result);
+    };
+
+    const spawn = () => {
+        const w = new Worker(new URL('./executeWorker.js', import.meta.url), { type: 'module' });
+        w.onmessage = ({ data }) => finish(data);
+        w.onerror = (event) => {
+            event.preventDefault();
+            finish({
+                steps: [],
+                errors: [{ lineIndex: 0, column: 0, endColumn: 0, message: `Internal error: ${event.message}` }],
+            });
+        };
+        return w;
+    };
+
+    const run = (code, options) => {
+        if (typeof Worker === 'undefined') {
+            onResult(execute(code, options));
+            return;
+        }
+        if (worker && busy) {
+            worker.terminate();
+            worker = null;
+        }
+        if (!worker) worker = spawn();
+        busy = true;
+        worker.postMessage({ code, options });
+
+        const timeLimit = options?.timeLimit ?? DEFAULT_TIME_LIMIT;
+        clearTimeout(watchdog);
+        watchdog = setTimeout(() => {
+            worker.terminate();
+            worker = null;
+            finish({
+                steps: [],
+                errors: [{
+                    lineIndex: 0,
+                    column: 0,
+                    endColumn: 0,
+                    message: `Execution stopped after ${timeLimit / 1000} s — possible infinite loop`,
+                }],
+            });
+        }, timeLimit + WATCHDOG_GRACE);
+    };
+
+    const dispose = () => {
+        clearTimeout(watchdog);
+        worker?.terminate();
+        worker = null;
+    };
+
+    return { run, dispose };
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRunner } from './runner';
+
+// A worker that never answers, like one stuck in a loop the interpreter doesn't see
+class SilentWorker {
+    static instances = [];
+    constructor() {
+        this.terminated = false;
+        SilentWorker.instances.push(this);
+    }
+    postMessage() {}
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    SilentWorker.instances = [];
+});
+
+describe('runner', () => {
+    it('terminates a worker that overruns its time budget and reports it', () => {
+        vi.useFakeTimers();
+        vi.stubGlobal('Worker', SilentWorker);
+        const onResult = vi.fn();
+        const runner = createRunner(onResult);
+
+        runner.run('class Main {}', { timeLimit: 1000 });
+        vi.advanceTimersByTime(1000);
+        expect(onResult).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(5000);
+        expect(SilentWorker.instances[0].terminated).toBe(true);
+        expect(onResult).toHaveBeenCalledTimes(1);
+        expect(onResult.mock.calls[0][0].errors[0].message).toBe('Execution stopped after 1 s — possible infinite loop');
+    });
+
+    it('runs synchronously without Worker support', () => {
+        const onResult = vi.fn();
+        createRunner(onResult).run('int x = 1;');
+        expect(onResult.mock.calls[0][0].errors).toEqual([]);
+    });
+});
@@ -0,0 +1,462 @@
+/**
+ * semantics.js
+ * Static checks run on the AST before anything executes.
+ *
+ * A symbol table (a stack of scopes per method body) tracks the fields,
+ * parameters and locals visible at each point, which is enough to report,
+ * in javac's wording:
+ *   - identifiers that were never declared
+ *   - a local or parameter declared twice in the same method
+ *   - assignments whose value cannot be converted to the target's type
+ *     (an int stored in a Node, a Node stored in an int, ...)
+ *   - locals read before they are definitely assigned
+ *   - uses of static fields, which the interpreter does not model
+ */
+
+import { PRIMITIVE_TYPES } from './parser';
+
+const NUMERIC_RANK = { byte: 1, short: 2, char: 2, int: 3, long: 4, float: 5, double: 6 };
+const INTEGRAL = new Set(['byte', 'short', 'char', 'int', 'long']);
+
+function errorAt(loc, message, length) {
+    return {
+        lineIndex: loc.line,
+        column: loc.column,
+        endColumn: length !== undefined ? loc.column + length
+            : loc.line === loc.endLine ? loc.endColumn : loc.column + 1,
+        message,
+    };
+}
+
+// ── Types ────────────────────────────────────────────────────────────────
+
+/** Result type of binary numeric promotion, or undefined for non-numeric operands. */
+function promote(a, b) {
+    if (!(a in NUMERIC_RANK) || !(b in NUMERIC_RANK)) return undefined;
+    const rank = Math.max(NUMERIC_RANK[a], NUMERIC_RANK[b], NUMERIC_RANK.int);
+    return Object.keys(NUMERIC_RANK).find(type => NUMERIC_RANK[type] === rank && type !== 'char');
+}
+
+/**
+ * Why a value of type `source` cannot be stored in `target`, or null when it can.
+ * Unknown types (library classes, generics) are always accepted.
+ */
+function conversionError(ctx, target, source) {
+    if (!target || !source || target === source) return null;
+
+    const isKnownRef = type => type === 'String' || type.endsWith('[]') || ctx.fieldTypes.has(type);
+    const incompatible = `incompatible types: ${source === 'null' ? '<null>' : source} cannot be converted to ${target}`;
+
+    if (source === 'null') return PRIMITIVE_TYPES.has(target) ? incompatible : null;
+
+    const targetPrimitive = PRIMITIVE_TYPES.has(target);
+    const sourcePrimitive = PRIMITIVE_TYPES.has(source);
+
+    if (targetPrimitive && sourcePrimitive) {
+        if (target === 'boolean' || source === 'boolean') return incompatible;
+        // int → byte/short/char is allowed for constants, so only flag real losses
+        const lossy = (!INTEGRAL.has(source) && INTEGRAL.has(target))
+            || (source === 'double' && target === 'float')
+            || (source === 'long' && INTEGRAL.has(target));
+        return lossy ? `incompatible types: possible lossy conversion from ${source} to ${target}` : null;
+    }
+    if (targetPrimitive) return isKnownRef(source) ? incompatible : null;
+    if (sourcePrimitive) return isKnownRef(target) ? incompatible : null;
+    return isKnownRef(target) && isKnownRef(source) ? incompatible : null;
+}
+
+// ── Scopes ───────────────────────────────────────────────────────────────
+
+function lookup(ctx, name) {
+    for (let i = ctx.scopes.length - 1; i >= 0; i--) {
+        const symbol = ctx.scopes[i].get(name);
+        if (symbol) return symbol;
+    }
+    return null;
+}
+
+function declare(ctx, name, type, loc, assigned) {
+    // Locals may shadow fields, but not other locals or parameters of the same method
+    const clash = ctx.scopes.slice(ctx.localBase).some(scope => scope.has(name));
+    if (clash) {
+        ctx.errors.push(errorAt(loc, `variable ${name} is already defined${ctx.where}`, name.length));
+    }
+    ctx.scopes[ctx.scopes.length - 1].set(name, { name, type });
+    if (assigned) ctx.unassigned.delete(name);
+    else ctx.unassigned.add(name);
+}
+
+function withScope(ctx, fn) {
+    ctx.scopes.push(new Map());
+    try {
+        return fn();
+    } finally {
+        ctx.scopes.pop();
+    }
+}
+
+// ── Expressions ──────────────────────────────────────────────────────────
+
+/** Static fields have no storage in the memory model; say so rather than fail later. */
+function checkStaticField(ctx, className, name, loc) {
+    if (!ctx.staticFields.get(className)?.has(name)) return;
+    ctx.errors.push(errorAt(loc, `static field ${name} is not supported — use an instance field or a local variable`));
+}
+
+function checkName(ctx, expr, { asObject = false } = {}) {
+    const symbol = lookup(ctx, expr.name);
+    if (!symbol) {
+        // System.out, Math.max, Node.count — a class name rather than a variable
+        if (asObject && /^[A-Z]/.test(expr.name)) return expr.name;
+        ctx.errors.push(errorAt(expr.loc, `cannot find symbol: variable ${expr.name}`));
+        return undefined;
+    }
+    if (symbol.isStatic) checkStaticField(ctx, ctx.className, expr.name, expr.loc);
+    if (ctx.unassigned.has(expr.name) && !ctx.reported.has(expr.name)) {
+        ctx.reported.add(expr.name);
+        ctx.errors.push(errorAt(expr.loc, `variable ${expr.name} might not have been initialized`));
+    }
+    return symbol.type;
+}
+
+function checkObject(ctx, object) {
+    return object.type === 'Name' ? checkName(ctx, object, { asObject: true }) : checkExpr(ctx, object);
+}
+
+/** Check an expression and return its static type (undefined when unknown). */
+function checkExpr(ctx, expr) {
+    if (!expr) return undefined;
+
+    switch (expr.type) {
+        case 'Literal':
+            return expr.valueType;
+
+        case 'Name':
+            return checkName(ctx, expr);
+
+        case 'This':
+            return ctx.className;
+
+        case 'FieldAccess': {
+            const objectType = checkObject(ctx, expr.object);
+            if (objectType?.endsWith('[]') && expr.field === 'length') return 'int';
+            const fields = ctx.fieldTypes.get(objectType);
+            if (!fields) return undefined;
+            if (!fields.has(expr.field)) {
+                ctx.errors.push(errorAt(expr.loc, `cannot find symbol: variable ${expr.field} in class ${objectType}`));
+                return undefined;
+            }
+            checkStaticField(ctx, objectType, expr.field, expr.loc);
+            return fields.get(expr.field);
+        }
+
+        case 'Index': {
+            const arrayType = checkExpr(ctx, expr.object);
+            checkExpr(ctx, expr.index);
+            return arrayType?.endsWith('[]') ? arrayType.slice(0, -2) : undefined;
+        }
+
+        case 'Call': {
+            if (expr.object) checkObject(ctx, expr.object);
+            expr.args.forEach(arg => checkExpr(ctx, arg));
+            if (expr.object) return undefined;
+            return ctx.methods.find(m => m.name === expr.name && m.params.length === expr.args.length)?.returnType;
+        }
+
+        case 'New':
+            checkConstructorCall(ctx, expr, expr.args.map(arg => checkExpr(ctx, arg)));
+            return expr.className;
+
+        case 'Assign':
+            return checkAssign(ctx, expr);
+
+        case 'Update':
+            return checkExpr(ctx, expr.target);
+
+        case 'Unary': {
+            const type = checkExpr(ctx, expr.operand);
+            return expr.op === '!' ? 'boolean' : promote(type, 'int');
+        }
+
+        case 'Cast':
+            checkExpr(ctx, expr.operand);
+            return expr.castType;
+
+        case 'Conditional': {
+            checkExpr(ctx, expr.test);
+            const type = checkExpr(ctx, expr.consequent);
+            checkExpr(ctx, expr.alternate);
+            return type;
+        }
+
+        case 'Binary': {
+            const left = checkExpr(ctx, expr.left);
+            const right = checkExpr(ctx, expr.right);
+            if (['==', '!=', '<', '>', '<=', '>=', '&&', '||'].includes(expr.op)) return 'boolean';
+            if (expr.op === '+' && (left === 'String' || right === 'String')) return 'String';
+            if (left === 'boolean' && right === 'boolean') return 'boolean';
+            return promote(left, right);
+        }
+
+        default:
+            return undefined;
+    }
+}
+
+/** Report `value` when it cannot be stored in a variable or field of `targetType`. */
+function checkConversion(ctx, targetType, valueType, value) {
+    const message = conversionError(ctx, targetType, valueType);
+    if (message) ctx.errors.push(errorAt(value.loc, message));
+}
+
+/** Report `new X(args)` when no constructor of X accepts the argument types. */
+function checkConstructorCall(ctx, expr, argTypes) {
+    const { className } = expr;
+    const constructors = ctx.constructors.get(className);
+    // Library classes are unknown; without a declared constructor only X() exists
+    if (!constructors || (constructors.length === 0 && argTypes.length === 0)) return;
+
+    const candidates = constructors.filter(params => params.length === argTypes.length);
+    if (candidates.length === 1) {
+        candidates[0].forEach((type, i) => checkConversion(ctx, type, argTypes[i], expr.args[i]));
+        return;
+    }
+    if (candidates.some(params => params.every((type, i) => !conversionError(ctx, type, argTypes[i])))) return;
+    ctx.errors.push(errorAt(expr.loc, candidates.length === 0
+        ? `constructor ${className} in class ${className} cannot be applied to given types`
+        : `no suitable constructor found for ${className}(${argTypes.map(type => type ?? 'Object').join(',')})`));
+}
+
+function checkAssign(ctx, expr) {
+    const { target } = expr;
+
+    // x = value;  writes x without reading it first
+    if (expr.op === '=' && target.type === 'Name') {
+        const valueType = checkExpr(ctx, expr.value);
+        const symbol = lookup(ctx, target.name);
+        if (!symbol) {
+            ctx.errors.push(errorAt(target.loc, `cannot find symbol: variable ${target.name}`));
+            return undefined;
+        }
+        if (symbol.isStatic) checkStaticField(ctx, ctx.className, target.name, target.loc);
+        checkConversion(ctx, symbol.type, valueType, expr.value);
+        ctx.unassigned.delete(target.name);
+        return symbol.type;
+    }
+
+    const targetType = checkExpr(ctx, target);
+    const valueType = checkExpr(ctx, expr.value);
+    // Compound assignments (+=, -=, ...) cast implicitly
+    if (expr.op === '=') checkConversion(ctx, targetType, valueType, expr.value);
+    return targetType;
+}
+
+// ── Statements ───────────────────────────────────────────────────────────
+
+/** `true` or `false` for a boolean literal condition, otherwise null. */
+function booleanConstant(test) {
+    return test?.type === 'Literal' && test.valueType === 'boolean' ? test.value : null;
+}
+
+/** Check a loop body and return the unassigned sets at the `break`s that leave it. */
+function checkLoopBody(ctx, body) {
+    ctx.breaks.push([]);
+    withScope(ctx, () => checkStatement(ctx, body));
+    return ctx.breaks.pop();
+}
+
+/**
+ * Leave a loop through any of `exits` (unassigned sets). A loop with no way
+ * out, such as `while (true)` without a break, does not complete.
+ */
+function exitLoop(ctx, exits, before) {
+    if (exits.length === 0) {
+        ctx.unassigned = before;
+        return false;
+    }
+    ctx.unassigned = new Set(exits.flatMap(set => [...set]));
+    return true;
+}
+
+/**
+ * Check a statement. Returns false when it cannot complete normally
+ * (return, break, continue, a loop with no exit), so its unassigned set does
+ * not flow onward.
+ */
+function checkStatement(ctx, stmt) {
+    switch (stmt.type) {
+        case 'Block':
+            return withScope(ctx, () => checkStatements(ctx, stmt.body));
+
+        case 'VarDecl':
+            for (const { name, init, loc } of stmt.declarators) {
+                if (init) checkConversion(ctx, stmt.varType, checkExpr(ctx, init), init);
+                declare(ctx, name, stmt.varType, loc, Boolean(init));
+            }
+            return true;
+
+        case 'ExprStmt':
+            checkExpr(ctx, stmt.expression);
+            return true;
+
+        case 'If': {
+            checkExpr(ctx, stmt.test);
+            const before = new Set(ctx.unassigned);
+            const thenCompletes = withScope(ctx, () => checkStatement(ctx, stmt.consequent));
+            const afterThen = ctx.unassigned;
+
+            ctx.unassigned = new Set(before);
+            const elseCompletes = stmt.alternate
+                ? withScope(ctx, () => checkStatement(ctx, stmt.alternate))
+                : true;
+            const afterElse = ctx.unassigned;
+
+            // Definitely assigned only if assigned on every path that continues;
+            // a constant condition rules one path out, as in javac
+            const constant = booleanConstant(stmt.test);
+            ctx.unassigned = new Set([
+                ...(thenCompletes && constant !== false ? afterThen : []),
+                ...(elseCompletes && constant !== true ? afterElse : []),
+            ]);
+            if (!thenCompletes && !elseCompletes) ctx.unassigned = before;
+            return thenCompletes || elseCompletes;
+        }
+
+        case 'While':
+        case 'For':
+            return withScope(ctx, () => {
+                if (stmt.type === 'For') checkStatements(ctx, stmt.init);
+                checkExpr(ctx, stmt.test);
+                // The body may run zero times, so its assignments only count on the
+                // way out through a break — the only way out of `while (true)`
+                const before = new Set(ctx.unassigned);
+                const breaks = checkLoopBody(ctx, stmt.body);
+                if (stmt.type === 'For') stmt.update.forEach(update => checkStatement(ctx, update));
+                const runsForever = !stmt.test || booleanConstant(stmt.test) === true;
+                return exitLoop(ctx, runsForever ? breaks : [before, ...breaks], before);
+            });
+
+        case 'DoWhile': {
+            const before = new Set(ctx.unassigned);
+            const breaks = checkLoopBody(ctx, stmt.body);
+            checkExpr(ctx, stmt.test);
+            const runsForever = booleanConstant(stmt.test) === true;
+            return exitLoop(ctx, runsForever ? breaks : [ctx.unassigned, ...breaks], before);
+        }
+
+        case 'Return': {
+            const type = checkExpr(ctx, stmt.argument);
+            if (stmt.argument && ctx.returnType && ctx.returnType !== 'void') {
+                checkConversion(ctx, ctx.returnType, type, stmt.argument);
+            }
+            return false;
+        }
+
+        case 'Break':
+            ctx.breaks[ctx.breaks.length - 1]?.push(new Set(ctx.unassigned));
+            return false;
+
+        case 'Continue':
+            return false;
+
+        default:
+            return true;
+    }
+}
+
+function checkStatements(ctx, stmts) {
+    let completes = true;
+    for (const stmt of stmts) {
+        // Code after return/break is unreachable; keep checking it for names only
+        if (!checkStatement(ctx, stmt)) completes = false;
+    }
+    return completes;
+}
+
+/** Check one method, constructor or the top-level statements. */
+function checkBody(base, { className, params = [], returnType, body, where }) {
+    const fields = base.fieldTypes.get(className) ?? new Map();
+    const statics = base.staticFields.get(className);
+    const ctx = {
+        ...base,
+        className,
+        returnType,
+        where,
+        scopes: [
+            new Map([...fields].map(([name, type]) => [name, { name, type, isStatic: Boolean(statics?.has(name)) }])),
+            new Map(),
+        ],
+        localBase: 1,
+        unassigned: new Set(),
+        reported: new Set(),
+        breaks: [],  // per enclosing loop: unassigned sets at its breaks
+    };
+    for (const param of params) declare(ctx, param.name, param.varType, param.loc, true);
+    checkStatements(ctx, body);
+}
+
+/**
+ * Run the semantic checks over a parsed program.
+ * @param {object} program — Program AST
+ * @param {Map} classes    — class layouts from buildClassTable
+ * @returns {Array} errors, same shape as parse errors
+ */
+export function analyze(program, classes) {
+    const errors = [];
+    const methods = [...program.methods, ...program.classes.flatMap(c => c.methods)];
+
+    // Field types per class, static fields included; built-in layouts fill the gaps
+    const fieldTypes = new Map(
+        [...classes.values()].map(layout => [layout.name, new Map(layout.fields.map(f => [f.name, f.type]))])
+    );
+    for (const decl of program.classes) {
+        const fields = new Map();
+        for (const field of decl.fields) {
+            if (fields.has(field.name)) {
+                errors.push(errorAt(field.loc, `variable ${field.name} is already defined in class ${decl.name}`));
+            }
+            fields.set(field.name, field.varType);
+        }
+        fieldTypes.set(decl.name, fields);
+    }
+
+    const staticFields = new Map(program.classes.map(decl => [
+        decl.name,
+        new Set(decl.fields.filter(f => f.modifiers.includes('static')).map(f => f.name)),
+    ]));
+
+    // Parameter types of each constructor per class; built-in layouts fill the gaps
+    const constructors = new Map(
+        [...classes.values()].map(layout => [layout.name, layout.constructors.map(c => c.paramTypes)])
+    );
+    for (const decl of program.classes) {
+        constructors.set(decl.name, decl.constructors.map(c => c.params.map(p => p.varType)));
+    }
+
+    const base = { errors, methods, fieldTypes, staticFields, constructors };
+    const signature = m => `${m.name}(${m.params.map(p => p.varType).join(',')})`;
+
+    for (const decl of program.classes) {
+        for (const ctor of decl.constructors) {
+            checkBody(base, {
+                className: decl.name, params: ctor.params, body: ctor.body.body,
+                where: ` in constructor ${signature(ctor)}`,
+            });
+        }
+        for (const method of decl.methods) {
+            checkBody(base, {
+                className: decl.name, params: method.params, returnType: method.returnType, body: method.body.body,
+                where: ` in method ${signature(method)}`,
+            });
+        }
+    }
+    for (const method of program.methods) {
+        checkBody(base, {
+            params: method.params, returnType: method.returnType, body: method.body.body,
+            where: ` in method ${signature(method)}`,
+        });
+    }
+    checkBody(base, { body: program.body, where: '' });
+
+    return errors;
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { analyze } from './semantics';
+import { parse } from './parser';
+import { buildClassTable } from './classes';
+
+const messages = code => {
+    const { program } = parse(code);
+    return analyze(program, buildClassTable(program)).map(error => error.message);
+};
+
+const inMain = body => `class Main {
+    public static void main(String[] args) {
+${body}
+    }
+}`;
+
+describe('names', () => {
+    it('reports an undeclared variable where it is used', () => {
+        const { program } = parse(inMain('        int a = b + 1;'));
+        const [error] = analyze(program, buildClassTable(program));
+        expect(error).toMatchObject({ lineIndex: 2, column: 16, message: 'cannot find symbol: variable b' });
+    });
+
+    it('reports a variable declared twice in one method, naming the method', () => {
+        expect(messages(inMain(`        int a = 1;
+        int a = 2;`))).toEqual(['variable a is already defined in method main(String[])']);
+    });
+
+    it('allows the same name again once its block has ended', () => {
+        expect(messages(inMain(`        for (int i = 0; i < 2; i++) { int sq = i * i; }
+        for (int i = 0; i < 2; i++) { int sq = i; }`))).toEqual([]);
+    });
+
+    it('reports a field declared twice', () => {
+        expect(messages(`class Node {
+    int data;
+    int data;
+}`)).toEqual(['variable data is already defined in class Node']);
+    });
+
+    it('reports a field the class does not have', () => {
+        expect(messages(`class Node {
+    int data;
+    Node next;
+}
+${inMain(`        Node n = new Node();
+        n.prev = null;`)}`)).toEqual(['cannot find symbol: variable prev in class Node']);
+    });
+});
+
+describe('definite assignment', () => {
+    it('reports a variable read before any assignment', () => {
+        expect(messages(inMain(`        int x;
+        int y = x + 1;`))).toEqual(['variable x might not have been initialized']);
+    });
+
+    it('reports a variable assigned on only one branch', () => {
+        expect(messages(inMain(`        int x;
+        if (args.length > 0) x = 1;
+        System.out.println(x);`))).toEqual(['variable x might not have been initialized']);
+    });
+
+    it('accepts a variable assigned on every branch', () => {
+        expect(messages(inMain(`        int x;
+        if (args.length > 0) x = 1; else x = 2;
+        System.out.println(x);`))).toEqual([]);
+    });
+});
+
+describe('incompatible types', () => {
+    it.each([
+        ['int n = "five";', 'incompatible types: String cannot be converted to int'],
+        ['boolean b = 1;', 'incompatible types: int cannot be converted to boolean'],
+        ['int n = 2.5;', 'incompatible types: possible lossy conversion from double to int'],
+        ['int n = null;', 'incompatible types: <null> cannot be converted to int'],
+        ['String s = 1;', 'incompatible types: int cannot be converted to String'],
+    ])('rejects %s', (code, message) => {
+        expect(messages(inMain(`        ${code}`))).toEqual([message]);
+    });
+
+    it.each(['double d = 1;', "int c = 'a';", 'long l = 1;', 'String s = null;'])('accepts %s', code => {
+        expect(messages(inMain(`        ${code}`))).toEqual([]);
+    });
+});
+
+describe('numeric literals', () => {
+    it('accepts float and long literals in their own types', () => {
+        expect(messages(inMain(`        float f = 2.5f;
+        long big = 3000000000L;
+        double d = 1e3;`))).toEqual([]);
+    });
+
+    it('still rejects narrowing them', () => {
+        expect(messages(inMain(`        float f = 2.5;
+        int i = 3L;`))).toEqual([
+            'incompatible types: possible lossy conversion from double to float',
+            'incompatible types: possible lossy conversion from long to int',
+        ]);
+    });
+});
+
+describe('constructor arguments', () => {
+    const withNode = body => `class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+    Node(int d, Node n) { data = d; next = n; }
+}
+${inMain(body)}`;
+
+    it('accepts arguments matching a constructor', () => {
+        expect(messages(withNode(`        Node a = new Node('c');
+        Node b = new Node(1, a);`))).toEqual([]);
+    });
+
+    it('rejects an argument of the wrong type', () => {
+        expect(messages(withNode('        Node a = new Node("x");')))
+            .toEqual(['incompatible types: String cannot be converted to int']);
+    });
+
+    it('rejects a call no constructor takes', () => {
+        expect(messages(withNode('        Node a = new Node();')))
+            .toEqual(['constructor Node in class Node cannot be applied to given types']);
+    });
+
+    it('checks the built-in ListNode too', () => {
+        expect(messages(inMain('        ListNode a = new ListNode("x");')))
+            .toEqual(['incompatible types: String cannot be converted to int']);
+    });
+
+    it('rejects nodes built from literals of different types', () => {
+        expect(messages(inMain(`        Node a = new Node("x");
+        Node b = new Node(2);`))).toEqual(['incompatible types: int cannot be converted to String']);
+    });
+});
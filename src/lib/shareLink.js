@@ -0,0 +1,75 @@
+/**
+ * shareLink.js
+ * Encodes the program, the current step and the view options into a URL
+ * hash (`#share=...`) and back, so a link reopens the visualizer exactly
+ * where it was. The state is JSON, deflated and base64url-encoded to keep
+ * links short enough to paste into a chat.
+ */
+
+const HASH_KEY = 'share';
+const VERSION = 1;
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+    const piped = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Keep only well-formed fields of a decoded state — links are user input.
+ * Missing or malformed options are left out so the app keeps its defaults.
+ */
+function sanitize(raw) {
+    if (!raw || raw.v !== VERSION || typeof raw.code !== 'string') return null;
+    const state = { code: raw.code, step: Number.isInteger(raw.step) ? raw.step : null };
+    for (const key of ['speed', 'maxSteps', 'timeLimit', 'leftPct', 'vizPct', 'stackPct']) {
+        if (isNumber(raw[key])) state[key] = raw[key];
+    }
+    if (typeof raw.gcSweep === 'boolean') state.gcSweep = raw.gcSweep;
+    if (Array.isArray(raw.watches)) state.watches = raw.watches.filter(text => typeof text === 'string');
+    if (raw.breakpoints && typeof raw.breakpoints === 'object') {
+        state.breakpoints = Object.fromEntries(Object.entries(raw.breakpoints)
+            .filter(([line, condition]) => /^\d+$/.test(line) && typeof condition === 'string'));
+    }
+    return state;
+}
+
+/**
+ * Hash fragment for a state.
+ * @param {object} state — { code, step, speed, gcSweep, maxSteps, timeLimit,
+ *   breakpoints, watches: [text], leftPct, vizPct, stackPct }
+ * @returns {Promise<string>} e.g. '#share=...'
+ */
+export async function encodeShareHash(state) {
+    const json = JSON.stringify({ v: VERSION, ...state });
+    const bytes = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `#${HASH_KEY}=${toBase64Url(bytes)}`;
+}
+
+/**
+ * State from a hash fragment written by encodeShareHash.
+ * @param {string} hash — e.g. window.location.hash
+ * @returns {Promise<object|null>} null when the hash holds no (valid) shared state
+ */
+export async function decodeShareHash(hash) {
+    const prefix = `#${HASH_KEY}=`;
+    if (!hash.startsWith(prefix)) return null;
+    try {
+        const bytes = await transform(fromBase64Url(hash.slice(prefix.length)), new DecompressionStream('deflate-raw'));
+        return sanitize(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch {
+        return null;
+    }
+}
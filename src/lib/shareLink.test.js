@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareHash, decodeShareHash } from './shareLink';
+
+describe('share links', () => {
+    it('round-trips the program, step and view options', async () => {
+        const state = {
+            code: 'Node head = new Node(1); // “quotes” and ünïcode\nhead.next = null;',
+            step: 12,
+            speed: 800,
+            gcSweep: true,
+            maxSteps: 5000,
+            timeLimit: 2000,
+            breakpoints: { 3: 'cur == null', 7: '' },
+            watches: ['head.next', 'cur == tail'],
+            leftPct: 40,
+            vizPct: 55,
+            stackPct: 30,
+        };
+        const hash = await encodeShareHash(state);
+        expect(hash).toMatch(/^#share=[\w-]+$/);
+        expect(await decodeShareHash(hash)).toEqual(state);
+    });
+
+    it('returns null for other hashes and for damaged links', async () => {
+        expect(await decodeShareHash('')).toBeNull();
+        expect(await decodeShareHash('#section-2')).toBeNull();
+        expect(await decodeShareHash('#share=not-deflate')).toBeNull();
+        const hash = await encodeShareHash({ code: 'int x = 1;', step: 0 });
+        expect(await decodeShareHash(hash.slice(0, -4))).toBeNull();
+    });
+
+    it('drops malformed fields but keeps the rest', async () => {
+        const hash = await encodeShareHash({
+            code: 'int x = 1;',
+            step: 'last',
+            speed: 'fast',
+            gcSweep: 1,
+            watches: ['x', 3],
+            breakpoints: { 0: 'x > 0', top: 'x', 2: 5 },
+        });
+        expect(await decodeShareHash(hash)).toEqual({
+            code: 'int x = 1;', step: null, watches: ['x'], breakpoints: { 0: 'x > 0' },
+        });
+    });
+
+    it('rejects a state without code', async () => {
+        expect(await decodeShareHash(await encodeShareHash({ step: 3 }))).toBeNull();
+    });
+});
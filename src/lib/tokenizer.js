@@ -0,0 +1,161 @@
+/**
+ * tokenizer.js
+ * Splits Java source code into a flat stream of tokens with line/column positions.
+ *
+ * Token shape:
+ * {
+ *   type:      one of TOKEN_TYPES,
+ *   value:     the token text (literals keep their raw text),
+ *   line:      0-indexed line,
+ *   column:    0-indexed start column,
+ *   endColumn: 0-indexed column just past the last character,
+ * }
+ *
+ * Comments and whitespace are dropped. Lexical problems (unterminated strings,
+ * stray characters) are reported in `errors` and the offending text is skipped.
+ */
+
+export const TOKEN_TYPES = {
+    IDENT: 'IDENT',
+    KEYWORD: 'KEYWORD',
+    NUMBER: 'NUMBER',
+    STRING: 'STRING',
+    CHAR: 'CHAR',
+    OP: 'OP',
+    PUNCT: 'PUNCT',
+    EOF: 'EOF',
+};
+
+export const KEYWORDS = new Set([
+    'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+    'continue', 'default', 'do', 'double', 'else', 'extends', 'false', 'final',
+    'finally', 'float', 'for', 'if', 'implements', 'import', 'int', 'interface',
+    'long', 'new', 'null', 'package', 'private', 'protected', 'public', 'return',
+    'short', 'static', 'super', 'switch', 'this', 'throw', 'throws', 'true',
+    'try', 'void', 'while',
+]);
+
+// Longest operators first so `==` wins over `=`
+const OPERATORS = [
+    '>>>=', '<<=', '>>=', '>>>',
+    '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '<<', '>>', '->', '::',
+    '=', '<', '>', '!', '~', '?', ':', '+', '-', '*', '/', '%', '&', '|', '^',
+];
+
+const PUNCTUATION = '(){}[];,.@';
+
+/**
+ * Tokenize Java source code.
+ * @param {string} code
+ * @returns {{ tokens: Array, errors: Array }}
+ */
+export function tokenize(code) {
+    const tokens = [];
+    const errors = [];
+    const lines = code.split('\n');
+    let inBlockComment = false;
+
+    lines.forEach((line, lineNum) => {
+        let i = 0;
+
+        const push = (type, start, end) => {
+            tokens.push({ type, value: line.slice(start, end), line: lineNum, column: start, endColumn: end });
+        };
+
+        while (i < line.length) {
+            if (inBlockComment) {
+                const close = line.indexOf('*/', i);
+                if (close === -1) return;
+                inBlockComment = false;
+                i = close + 2;
+                continue;
+            }
+
+            const ch = line[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // Comments
+            if (ch === '/' && line[i + 1] === '/') return;
+            if (ch === '/' && line[i + 1] === '*') {
+                inBlockComment = true;
+                i += 2;
+                continue;
+            }
+
+            // Identifiers and keywords
+            if (/[a-zA-Z_$]/.test(ch)) {
+                let j = i;
+                while (j < line.length && /[\w$]/.test(line[j])) j++;
+                const word = line.slice(i, j);
+                push(KEYWORDS.has(word) ? TOKEN_TYPES.KEYWORD : TOKEN_TYPES.IDENT, i, j);
+                i = j;
+                continue;
+            }
+
+            // Numbers: 42, 3.14, .5, 1e9, 10L, 2.5f
+            if (/\d/.test(ch) || (ch === '.' && /\d/.test(line[i + 1] || ''))) {
+                let j = i;
+                while (j < line.length && /[\d_]/.test(line[j])) j++;
+                if (line[j] === '.' && /\d/.test(line[j + 1] || '')) {
+                    j++;
+                    while (j < line.length && /\d/.test(line[j])) j++;
+                }
+                if (/[eE]/.test(line[j] || '') && /[\d+-]/.test(line[j + 1] || '')) {
+                    j += 2;
+                    while (j < line.length && /\d/.test(line[j])) j++;
+                }
+                if (/[lLfFdD]/.test(line[j] || '')) j++;
+                push(TOKEN_TYPES.NUMBER, i, j);
+                i = j;
+                continue;
+            }
+
+            // String and char literals
+            if (ch === '"' || ch === "'") {
+                let j = i + 1;
+                while (j < line.length && line[j] !== ch) {
+                    j += line[j] === '\\' ? 2 : 1;
+                }
+                if (j >= line.length) {
+                    errors.push({
+                        lineIndex: lineNum,
+                        column: i,
+                        endColumn: line.length,
+                        message: ch === '"' ? 'Unclosed string literal' : 'Unclosed character literal',
+                    });
+                    return;
+                }
+                push(ch === '"' ? TOKEN_TYPES.STRING : TOKEN_TYPES.CHAR, i, j + 1);
+                i = j + 1;
+                continue;
+            }
+
+            const op = OPERATORS.find(o => line.startsWith(o, i));
+            if (op) {
+                push(TOKEN_TYPES.OP, i, i + op.length);
+                i += op.length;
+                continue;
+            }
+
+            if (PUNCTUATION.includes(ch)) {
+                push(TOKEN_TYPES.PUNCT, i, i + 1);
+                i++;
+                continue;
+            }
+
+            errors.push({ lineIndex: lineNum, column: i, endColumn: i + 1, message: `Illegal character: '${ch}'` });
+            i++;
+        }
+    });
+
+    const lastLine = lines.length - 1;
+    const lastCol = lines[lastLine].length;
+    tokens.push({ type: TOKEN_TYPES.EOF, value: '', line: lastLine, column: lastCol, endColumn: lastCol });
+
+    return { tokens, errors };
+}
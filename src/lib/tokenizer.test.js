@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, TOKEN_TYPES } from './tokenizer';
+
+const values = code => tokenize(code).tokens.filter(t => t.type !== TOKEN_TYPES.EOF).map(t => t.value);
+
+describe('tokenize', () => {
+    it('records line and column spans', () => {
+        const { tokens } = tokenize('int x;\n  x = 10;');
+        expect(tokens.map(({ type, value, line, column, endColumn }) => [type, value, line, column, endColumn])).toEqual([
+            [TOKEN_TYPES.KEYWORD, 'int', 0, 0, 3],
+            [TOKEN_TYPES.IDENT, 'x', 0, 4, 5],
+            [TOKEN_TYPES.PUNCT, ';', 0, 5, 6],
+            [TOKEN_TYPES.IDENT, 'x', 1, 2, 3],
+            [TOKEN_TYPES.OP, '=', 1, 4, 5],
+            [TOKEN_TYPES.NUMBER, '10', 1, 6, 8],
+            [TOKEN_TYPES.PUNCT, ';', 1, 8, 9],
+            [TOKEN_TYPES.EOF, '', 1, 9, 9],
+        ]);
+    });
+
+    it('drops line and block comments, including ones spanning lines', () => {
+        expect(values('a = 1; // set a\n/* one\n two */ b = 2; /* c */ c')).toEqual(['a', '=', '1', ';', 'b', '=', '2', ';', 'c']);
+    });
+
+    it('matches the longest operator', () => {
+        expect(values('a >>>= b == c != d && e++')).toEqual(['a', '>>>=', 'b', '==', 'c', '!=', 'd', '&&', 'e', '++']);
+    });
+
+    it('reads number forms as one token', () => {
+        expect(values('42 3.14 .5 1e9 2.5e-3 10L 2.5f 1_000')).toEqual(['42', '3.14', '.5', '1e9', '2.5e-3', '10L', '2.5f', '1_000']);
+    });
+
+    it('keeps escapes inside string and char literals', () => {
+        const { tokens } = tokenize(String.raw`s = "a \"b\" // c"; ch = '\'';`);
+        expect(tokens.filter(t => t.type === TOKEN_TYPES.STRING || t.type === TOKEN_TYPES.CHAR).map(t => t.value))
+            .toEqual([String.raw`"a \"b\" // c"`, String.raw`'\''`]);
+    });
+
+    it('reports unclosed literals and illegal characters, and carries on', () => {
+        const { tokens, errors } = tokenize('x = "abc;\ny = #1;');
+        expect(errors.map(e => [e.lineIndex, e.column, e.message])).toEqual([
+            [0, 4, 'Unclosed string literal'],
+            [1, 4, "Illegal character: '#'"],
+        ]);
+        expect(tokens.map(t => t.value)).toEqual(['x', '=', 'y', '=', '1', ';', '']);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * watches.js
+ * Watch expressions: Java expressions such as `head.next.data` or
+ * `cur == tail`, parsed by the same parser as the program and evaluated
+ * with the same evaluator against the memory state of a step.
+ *
+ * Watches are read-only — an expression that would assign, call a method
+ * or allocate is rejected up front.
+ */
+
+import { parseStandaloneExpression } from './parser';
+import { evaluateTyped, formatValue } from './evaluator';
+
+const SIDE_EFFECTS = new Set(['Assign', 'Update', 'Call', 'New']);
+
+/** Every expression node below `expr`, including itself. */
+export function subexpressions(expr) {
+    const children = Object.entries(expr)
+        .filter(([key, value]) => key !== 'loc' && value && typeof value === 'object')
+        .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+        .filter(child => typeof child.type === 'string');
+    return [expr, ...children.flatMap(subexpressions)];
+}
+
+/**
+ * Parse a watch expression once, when it is added.
+ * @param {string} text
+ * @returns {{ text: string, expression: object|null, error: string|null }}
+ */
+export function compileWatch(text) {
+    const { expression, errors } = parseStandaloneExpression(text);
+    if (!expression) return { text, expression: null, error: errors[0]?.message ?? 'invalid expression' };
+    const effect = subexpressions(expression).find(node => SIDE_EFFECTS.has(node.type));
+    if (effect) return { text, expression: null, error: 'watch expressions cannot change memory' };
+    return { text, expression, error: errors[0]?.message ?? null };
+}
+
+/**
+ * Evaluate a compiled watch in the innermost frame of `state`.
+ * @param {object} watch — from compileWatch
+ * @param {object} state — memory state
+ * @returns {{ value: *, type: string|null, text: string|null, error: string|null }}
+ */
+export function evaluateWatch(watch, state) {
+    if (watch.error) return { value: null, type: null, text: null, error: watch.error };
+
+    const frame = state.frames[state.frames.length - 1];
+    for (const node of subexpressions(watch.expression)) {
+        if (node.type !== 'Name') continue;
+        if (!(node.name in frame.vars)) {
+            return { value: null, type: null, text: null, error: `cannot find symbol: variable ${node.name}` };
+        }
+        if (frame.vars[node.name] === undefined) {
+            return { value: null, type: null, text: null, error: `variable ${node.name} might not have been initialized` };
+        }
+    }
+
+    try {
+        const { value, type } = evaluateTyped(watch.expression, state);
+        return { value, type, text: formatValue(value, type), error: null };
+    } catch (err) {
+        return { value: null, type: null, text: null, error: err.message };
+    }
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { compileWatch, evaluateWatch } from './watches';
+import { execute } from './interpreter';
+import { replaySteps } from './memoryModel';
+
+const { steps } = execute(`class Node {
+    int data;
+    Node next;
+    Node(int d) { data = d; }
+}
+class Main {
+    public static void main(String[] args) {
+        Node head = new Node(1);
+        head.next = new Node(2);
+        Node tail = head.next;
+        int size;
+        size = 2;
+    }
+}`);
+const beforeSize = replaySteps(steps, steps.length - 2);
+const end = replaySteps(steps, steps.length - 1);
+const watch = (text, state = end) => evaluateWatch(compileWatch(text), state);
+
+describe('watches', () => {
+    it('evaluates expressions in the innermost frame', () => {
+        expect(watch('head.next.data')).toMatchObject({ value: 2, type: 'int', text: '2', error: null });
+        expect(watch('head.next == tail')).toMatchObject({ value: true, text: 'true' });
+        expect(watch('tail.next')).toMatchObject({ value: null, text: 'null' });
+    });
+
+    it('follows the state it is given', () => {
+        expect(watch('size', beforeSize).error).toBe('variable size might not have been initialized');
+        expect(watch('size').text).toBe('2');
+    });
+
+    it('reports unknown names and runtime errors as the value', () => {
+        expect(watch('cur').error).toBe('cannot find symbol: variable cur');
+        expect(watch('tail.next.data').error).toMatch(/NullPointerException/);
+    });
+
+    it('rejects expressions with side effects up front', () => {
+        for (const text of ['size = 3', 'size++', 'reverse(head)', 'new Node(3)']) {
+            expect(compileWatch(text).error).toBe('watch expressions cannot change memory');
+        }
+    });
+
+    it('reports expressions that do not parse', () => {
+        expect(compileWatch('head.').error).not.toBeNull();
+    });
+});